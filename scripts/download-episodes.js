@@ -10,7 +10,23 @@ import { downloadEpisodes } from "../src/episodes-manager.js";
 async function main() {
 	try {
 		console.log("📥 Downloading all episodes with stream URLs...");
-		await downloadEpisodes();
+		const { downloaded, skipped, failed } = await downloadEpisodes({
+			onProgress: (event) => {
+				if (event.type === "completed") {
+					console.log(`✅ Downloaded: ${event.episode.title}`);
+				} else if (event.type === "failed") {
+					console.error(
+						`❌ Failed: ${event.episode.title} (${event.error.message})`,
+					);
+				}
+			},
+		});
+		console.log(
+			`📊 ${downloaded.length} downloaded, ${skipped} skipped, ${failed.length} failed`,
+		);
+		if (failed.length > 0) {
+			process.exit(1);
+		}
 		console.log("✅ All downloads complete.");
 	} catch (error) {
 		console.error("❌ Download script failed:", error);
@@ -1,10 +1,18 @@
 import { scrapeEpisodes } from "../src/episodes-manager.js";
 
+/**
+ * Episode Scrape Script
+ * Only new and changed episodes are scraped, pass --full to scrape every episode again
+ */
+
 // Main execution
 async function main() {
 	try {
-		console.log("🎯 Running SoundCloud metadata and stream URL scraping...");
-		await scrapeEpisodes();
+		const full = process.argv.includes("--full");
+		console.log(
+			`🎯 Running ${full ? "full" : "incremental"} SoundCloud metadata and stream URL scraping...`,
+		);
+		await scrapeEpisodes({ incremental: !full });
 		console.log("🎉 Scraping completed successfully!");
 		console.log(
 			"💡 Next step: Run `npm run download-episodes` to download audio files",
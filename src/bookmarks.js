@@ -0,0 +1,69 @@
+import { openStore } from "./storage.js";
+
+// Per user, so one person cannot grow the file without limit
+const MAX_BOOKMARKS = 100;
+
+/**
+ * Personal bookmarks per user, saved to disk. Bookmarks look like
+ * `{ id, episodeId, position, note, guildId, createdAt }` with the position
+ * in seconds.
+ */
+export class Bookmarks {
+	constructor(db = openStore("bookmarks")) {
+		this.db = db;
+	}
+
+	/**
+	 * @param {string} userId - The user ID
+	 * @returns {object[]} - The user's bookmarks, oldest first
+	 */
+	list(userId) {
+		return this.db.get(userId) || [];
+	}
+
+	/**
+	 * @param {string} userId - The user ID
+	 * @param {number} id - The bookmark ID
+	 * @returns {object|null}
+	 */
+	get(userId, id) {
+		return this.list(userId).find((bookmark) => bookmark.id === id) ?? null;
+	}
+
+	/**
+	 * Save a bookmark for a user
+	 * @param {string} userId - The user ID
+	 * @param {{episodeId: string, position: number, note: string|null, guildId: string}} bookmark - The bookmark to save
+	 * @returns {object|null} - The saved bookmark, or null if the user has too many
+	 */
+	add(userId, bookmark) {
+		const bookmarks = this.list(userId);
+		if (bookmarks.length >= MAX_BOOKMARKS) return null;
+		const saved = {
+			id: Math.max(0, ...bookmarks.map((item) => item.id)) + 1,
+			...bookmark,
+			createdAt: new Date().toISOString(),
+		};
+		bookmarks.push(saved);
+		this.db.set(userId, bookmarks);
+		return saved;
+	}
+
+	/**
+	 * Delete a bookmark of a user
+	 * @param {string} userId - The user ID
+	 * @param {number} id - The bookmark ID
+	 * @returns {boolean} - False if the bookmark did not exist
+	 */
+	remove(userId, id) {
+		const bookmarks = this.list(userId);
+		const remaining = bookmarks.filter((bookmark) => bookmark.id !== id);
+		if (remaining.length === bookmarks.length) return false;
+		if (remaining.length > 0) {
+			this.db.set(userId, remaining);
+		} else {
+			this.db.delete(userId);
+		}
+		return true;
+	}
+}
@@ -0,0 +1,25 @@
+import { parseTimestamp } from "./timestamp.js";
+
+/**
+ * Get the start of a chapter in seconds
+ * @param {{start: string, title: string}} chapter - Chapter as stored in episodes.json
+ * @returns {number} - Start position in seconds
+ */
+export function getChapterStart(chapter) {
+	return parseTimestamp(chapter.start) ?? 0;
+}
+
+/**
+ * Find the chapter that is playing at a position
+ * @param {Array<{start: string, title: string}>} chapters - Chapters of the episode, in order
+ * @param {number} seconds - Position in the episode
+ * @returns {number} - Index of the chapter, or -1 before the first chapter
+ */
+export function getChapterIndexAt(chapters, seconds) {
+	let index = -1;
+	for (let i = 0; i < (chapters?.length ?? 0); i++) {
+		if (getChapterStart(chapters[i]) > seconds) break;
+		index = i;
+	}
+	return index;
+}
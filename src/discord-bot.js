@@ -9,26 +9,119 @@ import {
 	EmbedBuilder,
 	ActivityType,
 	MessageFlags,
+	ActionRowBuilder,
+	ButtonBuilder,
+	ButtonStyle,
+	AttachmentBuilder,
+	ApplicationCommandOptionType,
 } from "discord.js";
-import {
-	joinVoiceChannel,
-	createAudioPlayer,
-	createAudioResource,
-	AudioPlayerStatus,
-	VoiceConnectionStatus,
-} from "@discordjs/voice";
+import { AudioPlayerStatus } from "@discordjs/voice";
+import { Bookmarks } from "./bookmarks.js";
 import { askNerdlandAssistant } from "./nerdland-assistant.js";
-import { scrapeEpisodes, downloadEpisodes } from "./episodes-manager.js";
+import {
+	scrapeEpisodes,
+	downloadEpisodes,
+	loadEpisodes,
+} from "./episodes-manager.js";
+import { getChapterIndexAt, getChapterStart } from "./chapters.js";
+import { SessionManager } from "./guild-session.js";
+import { GuildSettings } from "./guild-settings.js";
+import { ListeningHistory } from "./listening-history.js";
+import { createClip } from "./ffmpeg-stream.js";
+import { createNowPlayingMessage } from "./now-playing.js";
+import { rankEpisodes } from "./episode-matcher.js";
+import {
+	PERMISSION_LABELS,
+	describeEntry,
+	getCommandKey,
+	getRule,
+	isAllowed,
+} from "./permission-policy.js";
+import { PlaybackQueue } from "./playback-queue.js";
+import { SearchIndex } from "./search-index.js";
+import { ShuffleBag } from "./shuffle-bag.js";
+import { openStore } from "./storage.js";
+import { UpdateScheduler } from "./update-scheduler.js";
+import { Vote } from "./vote.js";
+import {
+	formatTimestamp,
+	parseSeekInput,
+	parseTimestamp,
+} from "./timestamp.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// How often the playing episode and position are saved for resuming after a restart
+const PLAYBACK_STATE_INTERVAL_MS = 15 * 1000;
+// How often the progress bar of the "now playing" panel is refreshed
+const NOW_PLAYING_INTERVAL_MS = 10 * 1000;
+// How often playback is checked for crossing a chapter boundary
+const CHAPTER_CHECK_INTERVAL_MS = 5 * 1000;
+// Minimum time between edits of the /podcast update progress message
+const UPDATE_PROGRESS_INTERVAL_MS = 2 * 1000;
+// Interaction tokens expire after 15 minutes, later results are sent another way
+const INTERACTION_EDIT_WINDOW_MS = 14 * 60 * 1000;
+// Hits per page of /podcast search, one play and one chapter button each
+const SEARCH_PAGE_SIZE = 5;
+// Events per page of /podcast stats history
+const HISTORY_PAGE_SIZE = 10;
+// Bookmarks per page of /podcast bookmarks list, one jump and one delete button each
+const BOOKMARK_PAGE_SIZE = 5;
+// Longest clip /podcast clip cuts, and the length when no end is given
+const MAX_CLIP_SECONDS = 60;
+const DEFAULT_CLIP_SECONDS = 30;
+// Buttons and menus doing the same as a command fall under that command's permission rule
+const COMPONENT_COMMANDS = {
+	"now_playing:skip": "skip",
+	"now_playing:stop": "stop",
+	"now_playing:prev_chapter": "prevchapter",
+	"now_playing:next_chapter": "nextchapter",
+	"now_playing:back": "seek",
+	"now_playing:forward": "seek",
+	chapter_select: "chapters",
+	"search:play": "episode",
+	"search:chapter": "episode",
+	"announcement:play": "episode",
+	"bookmark:jump": "episode",
+	"vote:skip": "vote skip",
+	"vote:stop": "vote stop",
+};
+// Largest attachment Discord accepts per server boost tier, in bytes
+const UPLOAD_LIMITS = {
+	0: 10 * 1024 * 1024,
+	1: 10 * 1024 * 1024,
+	2: 50 * 1024 * 1024,
+	3: 100 * 1024 * 1024,
+};
+
 export default class DiscordBot {
-	constructor(token, guildId, voiceChannelId) {
+	/**
+	 * @param {string} token - Discord bot token
+	 * @param {string} guildId - Guild to register commands in and auto-start playback for
+	 * @param {string|null} voiceChannelId - Voice channel to always join
+	 * @param {object} options - Optional settings
+	 * @param {string|null} options.nowPlayingChannelId - Text channel for the "now playing" panel
+	 * @param {boolean} options.chapterAnnouncements - Post a message when a new chapter starts
+	 * @param {string|null} options.announcementChannelId - Text channel where new episodes are announced
+	 * @param {number|null} options.updateIntervalMinutes - Minutes between automatic episode updates
+	 * @param {string|null} options.updateTime - Daily local time (HH:MM) of the automatic episode update
+	 * @param {number} options.shuffleAvoidDays - Random playback skips episodes played this many days ago or less
+	 * @param {Record<string, number>} options.shuffleWeights - Random playback weight per episode category
+	 * @param {number} options.voteThreshold - Share of the listeners a vote to skip or stop has to exceed
+	 * @param {number} options.emptyChannelTimeoutMinutes - Minutes in an empty voice channel before leaving it, 0 to stay
+	 */
+	constructor(token, guildId, voiceChannelId, options = {}) {
 		this.token = token;
 		this.guildId = guildId;
 		// voiceChannelId can be null if not configured
 		this.voiceChannelId = voiceChannelId;
+		// Falls back to the channel of the last command, or the voice channel's chat
+		this.nowPlayingChannelId = options.nowPlayingChannelId || null;
+		this.chapterAnnouncements = options.chapterAnnouncements ?? false;
+		this.announcementChannelId = options.announcementChannelId || null;
+		this.voteThreshold = options.voteThreshold ?? 0.5;
+		this.emptyChannelTimeoutMinutes = options.emptyChannelTimeoutMinutes ?? 5;
 		this.client = new Client({
 			intents: [
 				GatewayIntentBits.Guilds,
@@ -37,11 +130,34 @@ export default class DiscordBot {
 			],
 		});
 
-		this.player = createAudioPlayer();
-		this.connection = null;
-		this.currentEpisode = null;
+		this.guildSettings = new GuildSettings();
+		// One player, connection and current episode per guild
+		this.sessions = new SessionManager((session) => {
+			const { volume, normalize } = this.guildSettings.get(session.guildId);
+			session.volume = volume;
+			session.normalize = normalize;
+			this.setupPlayerHandlers(session);
+			session.onKicked = () => this.playbackState.delete(session.guildId);
+		});
+		this.queue = new PlaybackQueue();
+		this.history = new ListeningHistory();
+		this.bookmarks = new Bookmarks();
+		this.shuffle = new ShuffleBag({
+			avoidDays: options.shuffleAvoidDays ?? 14,
+			weights: options.shuffleWeights ?? {},
+		});
+		// Episode, position and voice channel per guild, to resume after a restart
+		this.playbackState = openStore("playback-state");
+		this.playbackStateTimer = null;
+		this.chapterTimer = null;
+		this.updateRunning = false;
+		this.updateScheduler = new UpdateScheduler(() => this.runEpisodeUpdate(), {
+			intervalMinutes: options.updateIntervalMinutes ?? null,
+			dailyTime: options.updateTime ?? null,
+		});
 		this.episodes = [];
 		this.localFiles = [];
+		this.searchIndex = new SearchIndex();
 		this.commands = new Collection();
 
 		this.loadData();
@@ -55,6 +171,7 @@ export default class DiscordBot {
 			const episodesPath = join(__dirname, "../episodes.json");
 			const episodesData = JSON.parse(readFileSync(episodesPath, "utf8"));
 			this.episodes = episodesData.episodes || [];
+			this.searchIndex.build(this.episodes);
 
 			// Load local MP3 files
 			const downloadsPath = join(__dirname, "../downloads");
@@ -79,11 +196,12 @@ export default class DiscordBot {
 		const parts = filename.split("_");
 		if (parts.length >= 2) {
 			// Get the last part which contains the ID
-			const lastPart = parts[parts.length - 1];
-			const episodeId = Number.parseInt(lastPart.replace(".mp3", ""), 10);
+			const episodeId = this.getFileEpisodeId(filename);
 
 			// Look up the real title from episodes.json database
-			const episode = this.episodes.find((ep) => ep.id === episodeId);
+			const episode = this.episodes.find(
+				(ep) => ep.id.toString() === episodeId,
+			);
 			if (episode) {
 				return episode.title;
 			}
@@ -103,26 +221,64 @@ export default class DiscordBot {
 			// Set initial bot activity
 			this.updateBotActivity("Nerdland Podcast Player");
 
-			// Auto-start playing when bot is ready
-			await this.autoStartPlayback();
+			// Continue where we left off, otherwise auto-start playing
+			const resumedGuilds = await this.resumeSavedPlayback();
+			if (!resumedGuilds.has(this.guildId)) {
+				await this.autoStartPlayback();
+			}
+
+			this.playbackStateTimer = setInterval(
+				() => this.savePlaybackStates(),
+				PLAYBACK_STATE_INTERVAL_MS,
+			);
+			this.chapterTimer = setInterval(() => {
+				for (const session of this.sessions.values()) {
+					this.trackChapter(session);
+				}
+			}, CHAPTER_CHECK_INTERVAL_MS);
+			this.updateScheduler.start();
 		});
 
-		this.client.on("interactionCreate", async (interaction) => {
-			if (interaction.isAutocomplete()) {
-				await this.handleAutocomplete(interaction);
-				return;
+		this.client.on("voiceStateUpdate", (oldState, newState) => {
+			const session = this.sessions.find(newState.guild.id);
+			if (
+				session?.connection &&
+				newState.id === this.client.user?.id &&
+				newState.channelId &&
+				newState.channelId !== session.channelId
+			) {
+				// The bot was moved: keep playing there, the connection follows by itself
+				console.log(
+					`🔀 Moved to voice channel ${newState.channelId} in guild ${session.guildId}`,
+				);
+				session.channelId = newState.channelId;
 			}
 			if (
-				interaction.isStringSelectMenu() &&
-				interaction.customId.startsWith("chapter_select")
+				!session?.channelId ||
+				(oldState.channelId !== session.channelId &&
+					newState.channelId !== session.channelId)
 			) {
-				await this.handleChapterSelect(interaction);
 				return;
 			}
-			if (!interaction.isChatInputCommand()) return;
+			this.checkListeners(session);
+		});
+
+		this.client.on("interactionCreate", async (interaction) => {
+			if (interaction.isAutocomplete()) {
+				try {
+					await this.handleAutocomplete(interaction);
+				} catch (error) {
+					console.error("❌ Error handling autocomplete:", error);
+				}
+				return;
+			}
 
 			try {
-				await this.handleCommand(interaction);
+				if (interaction.isChatInputCommand()) {
+					await this.handleCommand(interaction);
+				} else {
+					await this.handleComponent(interaction);
+				}
 			} catch (error) {
 				console.error("❌ Error handling command:", error);
 				const reply = {
@@ -131,35 +287,129 @@ export default class DiscordBot {
 					flags: MessageFlags.Ephemeral,
 				};
 
-				if (interaction.replied || interaction.deferred) {
-					await interaction.followUp({
-						content: reply.content,
-						flags: MessageFlags.Ephemeral,
-					});
-				} else {
-					await interaction.reply({
-						content: reply.content,
-						flags: MessageFlags.Ephemeral,
-					});
+				// The interaction itself may have expired, which must not crash the bot
+				try {
+					if (interaction.replied || interaction.deferred) {
+						await interaction.followUp({
+							content: reply.content,
+							flags: MessageFlags.Ephemeral,
+						});
+					} else {
+						await interaction.reply({
+							content: reply.content,
+							flags: MessageFlags.Ephemeral,
+						});
+					}
+				} catch (replyError) {
+					console.error("❌ Error sending error reply:", replyError);
 				}
 			}
 		});
+	}
+
+	/**
+	 * Handle the buttons and select menus of the bot's messages
+	 * @param {object} interaction - The button or select menu interaction
+	 */
+	async handleComponent(interaction) {
+		if (
+			(interaction.isButton() || interaction.isStringSelectMenu()) &&
+			!(await this.checkComponentAccess(interaction))
+		) {
+			return;
+		}
+		if (
+			interaction.isStringSelectMenu() &&
+			interaction.customId.startsWith("chapter_select")
+		) {
+			await this.handleChapterSelect(interaction);
+			return;
+		}
+		if (
+			interaction.isButton() &&
+			interaction.customId.startsWith("now_playing:")
+		) {
+			await this.handleNowPlayingButton(interaction);
+			return;
+		}
+		if (
+			interaction.isButton() &&
+			interaction.customId.startsWith("history:page:")
+		) {
+			await this.showHistory(
+				interaction,
+				Number.parseInt(interaction.customId.split(":")[2], 10),
+			);
+			return;
+		}
+		if (interaction.isButton() && interaction.customId.startsWith("vote:")) {
+			await this.castVote(
+				interaction,
+				interaction.customId.slice("vote:".length),
+			);
+			return;
+		}
+		if (
+			interaction.isButton() &&
+			interaction.customId.startsWith("bookmark:")
+		) {
+			await this.handleBookmarkButton(interaction);
+			return;
+		}
+		if (interaction.isButton() && interaction.customId.startsWith("search:")) {
+			await this.handleSearchButton(interaction);
+			return;
+		}
+		if (
+			interaction.isButton() &&
+			interaction.customId.startsWith("announcement:play:")
+		) {
+			await this.playEpisodeById(
+				interaction,
+				interaction.customId.slice("announcement:play:".length),
+			);
+			return;
+		}
+	}
 
-		// Audio player event handlers
-		this.player.on(AudioPlayerStatus.Playing, () => {
-			console.log("🎵 Audio player started playing");
+	/**
+	 * Attach the audio player event handlers of a guild session
+	 * @param {import("./guild-session.js").GuildSession} session - The new session
+	 */
+	setupPlayerHandlers(session) {
+		session.player.on(AudioPlayerStatus.Playing, () => {
+			console.log(
+				`🎵 Audio player started playing in guild ${session.guildId}`,
+			);
+			// Votes are about the episode that was playing when they started
+			for (const vote of session.votes.values()) {
+				if (vote.episode !== session.currentEpisode) {
+					this.expireVote(session, vote);
+				}
+			}
+			// Also catches episodes started in an empty channel, e.g. on auto-start
+			this.checkListeners(session);
 		});
 
-		this.player.on(AudioPlayerStatus.Idle, () => {
-			console.log("⏸️ Audio player became idle");
-			// Reset activity to default when episode ends
-			this.updateBotActivity("Nerdland Podcast Player");
-			// Auto-play next random episode
-			this.playRandomEpisode();
+		session.player.on(AudioPlayerStatus.Idle, () => {
+			console.log(`⏸️ Audio player became idle in guild ${session.guildId}`);
+			// The activity is shared by all guilds, another one may still be playing
+			this.resetBotActivity();
+			for (const vote of session.votes.values()) {
+				this.expireVote(session, vote);
+			}
+			// Play the next queued episode, or a random one if the queue is empty
+			if (session.autoplay) {
+				this.logPlayback(session, "complete");
+				this.playNextEpisode(session);
+			}
 		});
 
-		this.player.on("error", (error) => {
-			console.error("❌ Audio player error:", error);
+		session.player.on("error", (error) => {
+			console.error(
+				`❌ Audio player error in guild ${session.guildId}:`,
+				error,
+			);
 		});
 	}
 
@@ -201,6 +451,34 @@ export default class DiscordBot {
 								.setAutocomplete(true),
 						),
 				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("topic")
+						.setDescription(
+							"Speel een hoofdstuk over een onderwerp, uit eender welke aflevering",
+						)
+						.addStringOption((option) =>
+							option
+								.setName("chapter")
+								.setDescription("Zoek een hoofdstuk, bv. zwarte gaten")
+								.setRequired(true)
+								.setAutocomplete(true),
+						),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("search")
+						.setDescription(
+							"Zoek in titels, beschrijvingen en hoofdstukken van alle afleveringen",
+						)
+						.addStringOption((option) =>
+							option
+								.setName("query")
+								.setDescription("Waar wil je naar zoeken?")
+								.setRequired(true)
+								.setMaxLength(80),
+						),
+				)
 				.addSubcommand((subcommand) =>
 					subcommand
 						.setName("shownotes")
@@ -211,6 +489,23 @@ export default class DiscordBot {
 						.setName("chapters")
 						.setDescription("Toon de hoofdstukken van de huidige aflevering"),
 				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("nextchapter")
+						.setDescription("Spring naar het volgende hoofdstuk"),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("prevchapter")
+						.setDescription(
+							"Spring naar het begin van dit of het vorige hoofdstuk",
+						),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("nowplaying")
+						.setDescription("Toon de huidige aflevering, positie en hoofdstuk"),
+				)
 				.addSubcommand((subcommand) =>
 					subcommand
 						.setName("ask")
@@ -222,6 +517,309 @@ export default class DiscordBot {
 								.setRequired(true),
 						),
 				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("pause")
+						.setDescription("Pauzeer de huidige aflevering"),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("resume")
+						.setDescription("Speel de gepauzeerde aflevering verder"),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("seek")
+						.setDescription("Spring naar een tijdstip in de huidige aflevering")
+						.addStringOption((option) =>
+							option
+								.setName("time")
+								.setDescription(
+									"Tijdstip zoals 1:23:45, 45:10 of 90s, of relatief zoals +30s of -2m",
+								)
+								.setRequired(true),
+						),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("clip")
+						.setDescription(
+							"Knip een fragment uit de huidige aflevering, standaard de laatste 30 seconden",
+						)
+						.addStringOption((option) =>
+							option
+								.setName("start")
+								.setDescription(
+									"Begin van het fragment, zoals 1:23:45 of 45:10",
+								)
+								.setRequired(false),
+						)
+						.addStringOption((option) =>
+							option
+								.setName("end")
+								.setDescription(
+									"Einde van het fragment, standaard 30 seconden na het begin",
+								)
+								.setRequired(false),
+						)
+						.addStringOption((option) =>
+							option
+								.setName("format")
+								.setDescription("Bestandsformaat van het fragment")
+								.setRequired(false)
+								.addChoices(
+									{ name: "MP3", value: "mp3" },
+									{ name: "Ogg Opus", value: "opus" },
+								),
+						),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("speed")
+						.setDescription(
+							"Verander de afspeelsnelheid zonder de toonhoogte te veranderen",
+						)
+						.addNumberOption((option) =>
+							option
+								.setName("speed")
+								.setDescription("Snelheid tussen 0.5 en 2.0, bijvoorbeeld 1.25")
+								.setRequired(true)
+								.setMinValue(0.5)
+								.setMaxValue(2),
+						),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("volume")
+						.setDescription(
+							"Stel het volume en de loudness-normalisatie in voor deze server",
+						)
+						.addIntegerOption((option) =>
+							option
+								.setName("level")
+								.setDescription("Volume in procent, van 0 tot 200")
+								.setMinValue(0)
+								.setMaxValue(200),
+						)
+						.addBooleanOption((option) =>
+							option
+								.setName("normalize")
+								.setDescription(
+									"Maak alle afleveringen even luid (loudness-normalisatie)",
+								),
+						),
+				)
+				.addSubcommand((subcommand) =>
+					subcommand
+						.setName("skip")
+						.setDescription(
+							"Sla de huidige aflevering over en speel de volgende uit de wachtrij",
+						),
+				)
+				.addSubcommandGroup((group) =>
+					group
+						.setName("vote")
+						.setDescription("Stem met de luisteraars in het spraakkanaal")
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("skip")
+								.setDescription("Stem om de huidige aflevering over te slaan"),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("stop")
+								.setDescription("Stem om het afspelen te stoppen"),
+						),
+				)
+				.addSubcommandGroup((group) =>
+					group
+						.setName("queue")
+						.setDescription("Beheer de wachtrij")
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("add")
+								.setDescription("Voeg een aflevering toe aan de wachtrij")
+								.addStringOption((option) =>
+									option
+										.setName("episode")
+										.setDescription("Kies een aflevering om toe te voegen")
+										.setRequired(true)
+										.setAutocomplete(true),
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand.setName("list").setDescription("Toon de wachtrij"),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("remove")
+								.setDescription("Verwijder een aflevering uit de wachtrij")
+								.addIntegerOption((option) =>
+									option
+										.setName("position")
+										.setDescription("Positie in de wachtrij")
+										.setRequired(true)
+										.setMinValue(1),
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("move")
+								.setDescription("Verplaats een aflevering in de wachtrij")
+								.addIntegerOption((option) =>
+									option
+										.setName("from")
+										.setDescription("Huidige positie in de wachtrij")
+										.setRequired(true)
+										.setMinValue(1),
+								)
+								.addIntegerOption((option) =>
+									option
+										.setName("to")
+										.setDescription("Nieuwe positie in de wachtrij")
+										.setRequired(true)
+										.setMinValue(1),
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand.setName("clear").setDescription("Leeg de wachtrij"),
+						),
+				)
+				.addSubcommandGroup((group) =>
+					group
+						.setName("stats")
+						.setDescription("Luistergeschiedenis en statistieken")
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("overview")
+								.setDescription(
+									"Toon luisteruren, meest gespeelde afleveringen en actiefste aanvragers",
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("history")
+								.setDescription("Toon wat er recent is afgespeeld"),
+						),
+				)
+				.addSubcommandGroup((group) =>
+					group
+						.setName("bookmarks")
+						.setDescription("Persoonlijke bladwijzers in afleveringen")
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("add")
+								.setDescription(
+									"Bewaar de huidige aflevering en positie als bladwijzer",
+								)
+								.addStringOption((option) =>
+									option
+										.setName("note")
+										.setDescription("Notitie bij de bladwijzer")
+										.setMaxLength(200),
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("list")
+								.setDescription("Toon je bladwijzers om ernaar te springen"),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("delete")
+								.setDescription("Verwijder een bladwijzer")
+								.addIntegerOption((option) =>
+									option
+										.setName("number")
+										.setDescription("Nummer van de bladwijzer in de lijst")
+										.setRequired(true)
+										.setMinValue(1),
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("export")
+								.setDescription("Download je bladwijzers als tekstbestand"),
+						),
+				)
+				.addSubcommandGroup((group) =>
+					group
+						.setName("permissions")
+						.setDescription(
+							"[Moderator] Bepaal wie welke commando's mag gebruiken",
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("list")
+								.setDescription("Toon wie welke commando's mag gebruiken"),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("allow")
+								.setDescription(
+									"Sta een commando toe voor een rol, permissie of de DJ-rol",
+								)
+								.addStringOption((option) =>
+									option
+										.setName("command")
+										.setDescription("Commando of groep, zoals stop of queue")
+										.setRequired(true)
+										.setAutocomplete(true),
+								)
+								.addStringOption((option) =>
+									option
+										.setName("access")
+										.setDescription("Wie het commando mag gebruiken")
+										.setRequired(true)
+										.addChoices(
+											{ name: "Iedereen", value: "everyone" },
+											{ name: "DJ-rol", value: "dj" },
+											{ name: "Rol", value: "role" },
+											{ name: "Permissie", value: "permission" },
+										),
+								)
+								.addRoleOption((option) =>
+									option
+										.setName("role")
+										.setDescription("De rol, als je voor Rol kiest")
+										.setRequired(false),
+								)
+								.addStringOption((option) =>
+									option
+										.setName("permission")
+										.setDescription("De permissie, als je voor Permissie kiest")
+										.setRequired(false)
+										.addChoices(
+											...Object.entries(PERMISSION_LABELS).map(
+												([value, name]) => ({ name, value }),
+											),
+										),
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("reset")
+								.setDescription("Zet de standaardregel van een commando terug")
+								.addStringOption((option) =>
+									option
+										.setName("command")
+										.setDescription("Commando of groep, zoals stop of queue")
+										.setRequired(true)
+										.setAutocomplete(true),
+								),
+						)
+						.addSubcommand((subcommand) =>
+							subcommand
+								.setName("djrole")
+								.setDescription("Stel de DJ-rol in, of wis ze")
+								.addRoleOption((option) =>
+									option
+										.setName("role")
+										.setDescription("De DJ-rol, leeg om ze te wissen")
+										.setRequired(false),
+								),
+						),
+				)
 				.addSubcommand((subcommand) =>
 					subcommand
 						.setName("update")
@@ -240,10 +838,37 @@ export default class DiscordBot {
 	async handleCommand(interaction) {
 		const subcommand = interaction.options.getSubcommand();
 		const commandName = interaction.commandName;
+		const commandKey = getCommandKey(
+			interaction.options.getSubcommandGroup(false),
+			subcommand,
+		);
+		if (!(await this.checkCommandAccess(interaction, commandKey))) {
+			return;
+		}
 		if (commandName === "podcast" && subcommand === "ask") {
 			await this.handleAssistantAsk(interaction);
 			return;
 		}
+		if (interaction.options.getSubcommandGroup(false) === "queue") {
+			await this.handleQueueCommand(interaction, subcommand);
+			return;
+		}
+		if (interaction.options.getSubcommandGroup(false) === "stats") {
+			await this.handleStatsCommand(interaction, subcommand);
+			return;
+		}
+		if (interaction.options.getSubcommandGroup(false) === "bookmarks") {
+			await this.handleBookmarksCommand(interaction, subcommand);
+			return;
+		}
+		if (interaction.options.getSubcommandGroup(false) === "vote") {
+			await this.castVote(interaction, subcommand);
+			return;
+		}
+		if (interaction.options.getSubcommandGroup(false) === "permissions") {
+			await this.handlePermissionsCommand(interaction, subcommand);
+			return;
+		}
 
 		switch (subcommand) {
 			case "play":
@@ -258,12 +883,51 @@ export default class DiscordBot {
 			case "episode":
 				await this.playSpecificEpisode(interaction);
 				break;
+			case "topic":
+				await this.playTopic(interaction);
+				break;
+			case "search":
+				await this.showSearchResults(
+					interaction,
+					interaction.options.getString("query"),
+				);
+				break;
 			case "shownotes":
 				await this.showEpisodeNotes(interaction);
 				break;
 			case "chapters":
 				await this.showChapters(interaction);
 				break;
+			case "nextchapter":
+				await this.jumpChapter(interaction, 1);
+				break;
+			case "prevchapter":
+				await this.jumpChapter(interaction, -1);
+				break;
+			case "nowplaying":
+				await this.showNowPlaying(interaction);
+				break;
+			case "skip":
+				await this.skipEpisode(interaction);
+				break;
+			case "pause":
+				await this.pausePlayback(interaction);
+				break;
+			case "seek":
+				await this.seekPlayback(interaction);
+				break;
+			case "clip":
+				await this.clipEpisode(interaction);
+				break;
+			case "speed":
+				await this.setPlaybackSpeed(interaction);
+				break;
+			case "volume":
+				await this.setPlaybackVolume(interaction);
+				break;
+			case "resume":
+				await this.resumePlayback(interaction);
+				break;
 			case "update":
 				await this.handleUpdateEpisodes(interaction);
 				break;
@@ -276,44 +940,243 @@ export default class DiscordBot {
 	}
 
 	/**
-	 * Get the target voice channel for the bot to join
-	 * @param {object} interaction - Discord interaction object
-	 * @param {object} userVoiceChannel - User's current voice channel (fallback)
-	 * @returns {Promise<object|null>} - Voice channel object or null
+	 * Check the permission rule of a command for the user, replying when denied
+	 * @param {object} interaction - The interaction using the command
+	 * @param {string} commandKey - The command key, e.g. "stop" or "queue add"
+	 * @returns {Promise<boolean>} - Whether the user may use the command
 	 */
-	async getTargetVoiceChannel(interaction, userVoiceChannel = null) {
-		// If a specific voice channel ID is configured, use that
-		if (this.voiceChannelId) {
-			try {
-				const guild = interaction.guild;
-				const configuredChannel = await guild.channels.fetch(
-					this.voiceChannelId,
-				);
-
-				if (configuredChannel?.isVoiceBased()) {
-					console.log(
-						`Using configured voice channel: ${configuredChannel.name}`,
-					);
-					return configuredChannel;
-				}
-				console.warn(
-					`Configured voice channel ID ${this.voiceChannelId} not found or not a voice channel. Falling back to user's channel.`,
-				);
-			} catch (error) {
-				console.error(
-					`Error fetching configured voice channel ${this.voiceChannelId}:`,
-					error,
-				);
-				console.warn("Falling back to user's voice channel.");
-			}
+	async checkCommandAccess(interaction, commandKey) {
+		const { djRoleId, permissions } = this.guildSettings.get(
+			interaction.guildId,
+		);
+		const rule = getRule(permissions, commandKey);
+		const roles = interaction.member?.roles;
+		// Members of uncached guilds only come with a list of role IDs
+		const roleIds = Array.isArray(roles)
+			? roles
+			: [...(roles?.cache?.keys() ?? [])];
+		if (
+			isAllowed(
+				rule,
+				{ roleIds, permissions: interaction.memberPermissions },
+				djRoleId,
+			)
+		) {
+			return true;
 		}
-
-		// Fall back to user's voice channel
-		return userVoiceChannel;
+		await interaction.reply({
+			content: `🔒 Je hebt geen toestemming voor \`/podcast ${commandKey}\`. Toegestaan voor: ${rule.map(describeEntry).join(", ")}.`,
+			flags: MessageFlags.Ephemeral,
+			allowedMentions: { parse: [] },
+		});
+		return false;
 	}
 
-	async playLatestEpisode(interaction) {
-		if (!this.localFiles.length) {
+	/**
+	 * Check the permission rule of the command a button or menu stands for
+	 * @param {object} interaction - The button or select menu interaction
+	 * @returns {Promise<boolean>} - Whether the user may use it
+	 */
+	async checkComponentAccess(interaction) {
+		if (interaction.customId === "now_playing:toggle_pause") {
+			// Stands for /podcast resume while paused and /podcast pause otherwise
+			const session = this.sessions.find(interaction.guildId);
+			return await this.checkCommandAccess(
+				interaction,
+				session?.isPaused ? "resume" : "pause",
+			);
+		}
+		const parts = interaction.customId.split(":");
+		for (let length = parts.length; length > 0; length--) {
+			const commandKey = COMPONENT_COMMANDS[parts.slice(0, length).join(":")];
+			if (commandKey) {
+				return await this.checkCommandAccess(interaction, commandKey);
+			}
+		}
+		return true;
+	}
+
+	/**
+	 * Keys of the commands and groups whose permission rule can be changed
+	 * @returns {string[]}
+	 */
+	getCommandKeys() {
+		const keys = [];
+		for (const option of this.commands.get("podcast").toJSON().options) {
+			if (option.name === "permissions") continue;
+			keys.push(option.name);
+			for (const subcommand of option.options ?? []) {
+				if (subcommand.type === ApplicationCommandOptionType.Subcommand) {
+					keys.push(getCommandKey(option.name, subcommand.name));
+				}
+			}
+		}
+		return keys;
+	}
+
+	/**
+	 * Handle the /podcast permissions subcommands
+	 * @param {object} interaction - The command interaction
+	 * @param {string} subcommand - list, allow, reset or djrole
+	 */
+	async handlePermissionsCommand(interaction, subcommand) {
+		const guildId = interaction.guildId;
+		const settings = this.guildSettings.get(guildId);
+		const commandKey = interaction.options.getString("command");
+		if (commandKey !== null && !this.getCommandKeys().includes(commandKey)) {
+			return await interaction.reply({
+				content: `❌ Onbekend commando: \`${commandKey}\``,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		switch (subcommand) {
+			case "allow": {
+				const access = interaction.options.getString("access");
+				const role = interaction.options.getRole("role");
+				const permission = interaction.options.getString("permission");
+				let entry = access;
+				if (access === "role") {
+					if (!role) {
+						return await interaction.reply({
+							content: "❌ Kies een rol met de optie `role`",
+							flags: MessageFlags.Ephemeral,
+						});
+					}
+					entry = `role:${role.id}`;
+				} else if (access === "permission") {
+					if (!permission) {
+						return await interaction.reply({
+							content: "❌ Kies een permissie met de optie `permission`",
+							flags: MessageFlags.Ephemeral,
+						});
+					}
+					entry = `permission:${permission}`;
+				}
+				// The first entry of a command that is open to everyone restricts it to that entry
+				const current = (settings.permissions[commandKey] ?? []).filter(
+					(item) => item !== "everyone",
+				);
+				const rule =
+					entry === "everyone"
+						? ["everyone"]
+						: [...new Set([...current, entry])];
+				this.guildSettings.update(guildId, {
+					permissions: { ...settings.permissions, [commandKey]: rule },
+				});
+				const warning =
+					entry === "dj" && !settings.djRoleId
+						? "\n⚠️ Er is nog geen DJ-rol ingesteld, gebruik `/podcast permissions djrole`."
+						: "";
+				await interaction.reply({
+					content: `🔒 \`/podcast ${commandKey}\` is nu toegestaan voor: ${rule.map(describeEntry).join(", ")}${warning}`,
+					flags: MessageFlags.Ephemeral,
+					allowedMentions: { parse: [] },
+				});
+				break;
+			}
+			case "reset": {
+				const { [commandKey]: _removed, ...permissions } = settings.permissions;
+				this.guildSettings.update(guildId, { permissions });
+				await interaction.reply({
+					content: `🔓 \`/podcast ${commandKey}\` volgt weer de standaardregel: ${getRule(permissions, commandKey).map(describeEntry).join(", ")}`,
+					flags: MessageFlags.Ephemeral,
+					allowedMentions: { parse: [] },
+				});
+				break;
+			}
+			case "djrole": {
+				const role = interaction.options.getRole("role");
+				this.guildSettings.update(guildId, { djRoleId: role?.id ?? null });
+				await interaction.reply({
+					content: role
+						? `🎧 De DJ-rol is nu <@&${role.id}>`
+						: "🎧 De DJ-rol is gewist",
+					flags: MessageFlags.Ephemeral,
+					allowedMentions: { parse: [] },
+				});
+				break;
+			}
+			default:
+				await this.showPermissions(interaction, settings);
+		}
+	}
+
+	/**
+	 * Show the commands that are not open to everyone, and the DJ role
+	 * @param {object} interaction - The command interaction
+	 * @param {object} settings - The guild settings
+	 */
+	async showPermissions(interaction, settings) {
+		const lines = [...this.getCommandKeys(), "permissions"]
+			.map((key) => ({ key, rule: getRule(settings.permissions, key) }))
+			.filter(({ rule }) => !rule.includes("everyone"))
+			.map(
+				({ key, rule }) =>
+					`\`/podcast ${key}\` — ${rule.map(describeEntry).join(", ")}`,
+			);
+		const embed = new EmbedBuilder()
+			.setColor(0x00ae86)
+			.setTitle("🔒 Permissies")
+			.setDescription(
+				[
+					...lines,
+					"",
+					"Alle andere commando's zijn toegestaan voor iedereen. Wie de server mag beheren, mag altijd alles.",
+				].join("\n"),
+			)
+			.addFields({
+				name: "DJ-rol",
+				value: settings.djRoleId
+					? `<@&${settings.djRoleId}>`
+					: "Niet ingesteld",
+			});
+		await interaction.reply({
+			embeds: [embed],
+			flags: MessageFlags.Ephemeral,
+			allowedMentions: { parse: [] },
+		});
+	}
+
+	/**
+	 * Get the target voice channel for the bot to join
+	 * @param {object} interaction - Discord interaction object
+	 * @param {object} userVoiceChannel - User's current voice channel (fallback)
+	 * @returns {Promise<object|null>} - Voice channel object or null
+	 */
+	async getTargetVoiceChannel(interaction, userVoiceChannel = null) {
+		// If a specific voice channel ID is configured, use that
+		if (this.voiceChannelId) {
+			try {
+				const guild = interaction.guild;
+				const configuredChannel = await guild.channels.fetch(
+					this.voiceChannelId,
+				);
+
+				if (configuredChannel?.isVoiceBased()) {
+					console.log(
+						`Using configured voice channel: ${configuredChannel.name}`,
+					);
+					return configuredChannel;
+				}
+				console.warn(
+					`Configured voice channel ID ${this.voiceChannelId} not found or not a voice channel. Falling back to user's channel.`,
+				);
+			} catch (error) {
+				console.error(
+					`Error fetching configured voice channel ${this.voiceChannelId}:`,
+					error,
+				);
+				console.warn("Falling back to user's voice channel.");
+			}
+		}
+
+		// Fall back to user's voice channel
+		return userVoiceChannel;
+	}
+
+	async playLatestEpisode(interaction) {
+		if (!this.localFiles.length) {
 			return await interaction.reply({
 				content: "❌ Geen afleveringen beschikbaar",
 				flags: MessageFlags.Ephemeral,
@@ -344,6 +1207,7 @@ export default class DiscordBot {
 			const latestFile = this.localFiles[this.localFiles.length - 1];
 
 			await this.playLocalFile(
+				this.sessions.get(targetVoiceChannel.guild.id),
 				latestFile,
 				targetVoiceChannel,
 				interaction,
@@ -385,10 +1249,10 @@ export default class DiscordBot {
 		await interaction.deferReply();
 
 		try {
-			const randomFile =
-				this.localFiles[Math.floor(Math.random() * this.localFiles.length)];
+			const randomFile = this.pickRandomFile(targetVoiceChannel.guild.id);
 
 			await this.playLocalFile(
+				this.sessions.get(targetVoiceChannel.guild.id),
 				randomFile,
 				targetVoiceChannel,
 				interaction,
@@ -402,23 +1266,111 @@ export default class DiscordBot {
 		}
 	}
 
-	async playRandomEpisode() {
-		// Auto-play next random episode (called when current episode ends)
-		if (this.connection && this.localFiles.length > 0) {
-			const randomFile =
-				this.localFiles[Math.floor(Math.random() * this.localFiles.length)];
+	/**
+	 * Play the next queued episode in a guild, falling back to a random one
+	 * when the queue is empty (called when the current episode ends)
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	async playNextEpisode(session) {
+		if (!session.connection) return;
+		let item = this.queue.shift(session.guildId);
+		while (item) {
+			const localFile = this.findLocalFile(item.episodeId);
+			if (localFile) {
+				console.log("📋 Playing next queued episode:", localFile.title);
+				const voiceChannel = this.client.channels.cache.get(
+					session.connection.joinConfig.channelId,
+				);
+				await this.playLocalFile(
+					session,
+					localFile,
+					voiceChannel,
+					null,
+					"playing",
+					0,
+					{ trigger: "autoplay", requestedBy: item.requestedBy },
+				);
+				return;
+			}
+			console.warn(
+				`⚠️ Skipping queued episode ${item.episodeId}: file not found locally`,
+			);
+			item = this.queue.shift(session.guildId);
+		}
+		await this.playRandomEpisode(session);
+	}
+
+	/**
+	 * Auto-play the next random episode in a guild (called when the current episode ends)
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	async playRandomEpisode(session) {
+		if (session.connection && this.localFiles.length > 0) {
+			const randomFile = this.pickRandomFile(session.guildId);
 			console.log("🎲 Auto-playing random episode:", randomFile.title);
 			// Get the voice channel from the current connection
-			const voiceChannel = this.connection.joinConfig.channelId
-				? this.client.channels.cache.get(this.connection.joinConfig.channelId)
+			const voiceChannel = session.connection.joinConfig.channelId
+				? this.client.channels.cache.get(
+						session.connection.joinConfig.channelId,
+					)
 				: null;
-			await this.playLocalFile(randomFile, voiceChannel, null, "playing");
+			await this.playLocalFile(
+				session,
+				randomFile,
+				voiceChannel,
+				null,
+				"playing",
+				0,
+				{ trigger: "autoplay" },
+			);
 		}
 	}
 
+	/**
+	 * Pick the next local file from the guild's shuffle bag
+	 * @param {string} guildId - The guild ID
+	 * @returns {object|null} - The file data object
+	 */
+	pickRandomFile(guildId) {
+		const episodeId = this.shuffle.next(
+			guildId,
+			this.localFiles
+				.map((file) => ({
+					id: this.getFileEpisodeId(file.filename),
+					title: file.title,
+				}))
+				.filter((episode) => episode.id),
+		);
+		// Files without an episode ID in their name can only be picked at random
+		return episodeId
+			? this.findLocalFile(episodeId)
+			: this.localFiles[Math.floor(Math.random() * this.localFiles.length)];
+	}
+
+	/**
+	 * Get the episode ID embedded in a local filename
+	 * @param {string} filename - The MP3 filename
+	 * @returns {string|null} - The episode ID
+	 */
+	getFileEpisodeId(filename) {
+		// SoundCloud IDs are numeric, episodes only found in the RSS feed use "rss-<hash>"
+		return filename.match(/_([^_]+)\.mp3$/)?.[1] ?? null;
+	}
+
+	/**
+	 * Find the local file of an episode
+	 * @param {string} episodeId - The episode ID
+	 * @returns {object|undefined} - The file data object
+	 */
+	findLocalFile(episodeId) {
+		return this.localFiles.find(
+			(file) => this.getFileEpisodeId(file.filename) === episodeId,
+		);
+	}
+
 	findEpisodeData(filename) {
 		// Try to match local file with episode metadata
-		const id = filename.match(/_(\d+)\.mp3$/)?.[1];
+		const id = this.getFileEpisodeId(filename);
 		if (id) {
 			return this.episodes.find((ep) => ep.id.toString() === id);
 		}
@@ -427,57 +1379,49 @@ export default class DiscordBot {
 
 	/**
 	 * Play a local audio file
+	 * @param {import("./guild-session.js").GuildSession} session - The session of the guild to play in
 	 * @param {object} fileData - The file data object
 	 * @param {object} voiceChannel - The voice channel to join
 	 * @param {object|null} interaction - Discord interaction object with editReply method
 	 * @param {string} embedType - The type of embed to create
+	 * @param {number} startSeconds - Position in the episode to start from
 	 */
 	async playLocalFile(
+		session,
 		fileData,
 		voiceChannel,
 		interaction = null,
 		embedType = "playing",
+		startSeconds = 0,
+		context = null,
 	) {
+		const playContext = context ?? {
+			trigger: interaction ? "command" : "autoplay",
+			requestedBy: interaction?.user?.id ?? null,
+		};
 		try {
 			// Join voice channel if not already connected
-			if (voiceChannel && !this.connection) {
-				this.connection = joinVoiceChannel({
-					channelId: voiceChannel.id,
-					guildId: voiceChannel.guild.id,
-					adapterCreator: voiceChannel.guild.voiceAdapterCreator,
-				});
-
-				this.connection.on(VoiceConnectionStatus.Ready, () => {
-					console.log("✅ Voice connection is ready");
-				});
-
-				this.connection.on(VoiceConnectionStatus.Disconnected, () => {
-					console.log("❌ Voice connection disconnected");
-					this.connection = null;
-				});
-			}
-
-			// Create audio resource from local file
-			const resource = createAudioResource(fileData.path);
-			this.player.play(resource);
-
-			if (this.connection) {
-				this.connection.subscribe(this.player);
+			session.connect(voiceChannel);
+			// An episode that is replaced counts as stopped
+			this.logPlayback(session, "stop", playContext);
+			session.playFrom(fileData, startSeconds);
+			this.logPlayback(session, "start", playContext);
+			this.shuffle.markPlayed(
+				session.guildId,
+				this.getFileEpisodeId(fileData.filename),
+			);
+			if (interaction?.channelId) {
+				session.textChannelId = interaction.channelId;
 			}
 
-			this.currentEpisode = fileData;
 			console.log("-----------------", fileData);
-			// remove "Nerdland Maandoverzicht: " and "Nerdland Special: " from title
-			const activity = fileData.title
-				.replace("Nerdland Maandoverzicht:", "")
-				.replace("Nerdland Special:", "")
-				.trim();
+			const activity = this.getShortTitle(fileData.title);
 			console.log(`🎵 Playing local file: ${activity}`);
 			this.updateBotActivity(activity);
 
 			// Set bot nickname to episode title if possible
 			const episodeTitle = fileData.title;
-			const guild = voiceChannel.guild;
+			const guild = this.client.guilds.cache.get(session.guildId);
 			await this.setBotNickname(episodeTitle, guild);
 
 			// Send embed if interaction is provided and has editReply method
@@ -485,6 +1429,8 @@ export default class DiscordBot {
 				const embed = this.createEpisodeEmbed(fileData, embedType);
 				await interaction.editReply({ embeds: [embed] });
 			}
+
+			await this.updateNowPlayingPanel(session);
 		} catch (error) {
 			console.error("❌ Error playing local file:", error);
 			throw error;
@@ -492,28 +1438,19 @@ export default class DiscordBot {
 	}
 
 	async stopPlayback(interaction) {
-		if (!this.player || this.player.state.status === AudioPlayerStatus.Idle) {
+		const session = this.sessions.find(interaction.guildId);
+		// A paused or disconnected episode can be stopped too, which forgets it
+		if (!session?.currentEpisode) {
 			return await interaction.reply({
 				content: "❌ Er wordt momenteel geen audio afgespeeld",
 				flags: MessageFlags.Ephemeral,
 			});
 		}
 
-		this.player.stop();
-		this.currentEpisode = null;
-
-		if (this.connection) {
-			this.connection.destroy();
-			this.connection = null;
-		}
-
-		// Reset bot activity when playback stops
-		this.updateBotActivity("Nerdland Podcast Player");
-
-		// Reset bot nickname to default when playback stops
-		if (interaction?.guild) {
-			await this.setBotNickname("Nerdland Podcast Player", interaction.guild);
-		}
+		await this.stopSession(session, interaction.guild, {
+			trigger: "command",
+			requestedBy: interaction.user.id,
+		});
 
 		const embed = new EmbedBuilder()
 			.setColor(0xff6b6b)
@@ -523,101 +1460,1057 @@ export default class DiscordBot {
 		await interaction.reply({ embeds: [embed] });
 	}
 
-	async showEpisodeNotes(interaction) {
-		if (!this.currentEpisode) {
+	/**
+	 * Stop playback in a guild and leave the voice channel
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @param {object} guild - The Discord guild (server) object
+	 * @param {{trigger: string, requestedBy: string|null}|null} context - Who stopped playback, for the listening history
+	 */
+	async stopSession(session, guild, context = null) {
+		this.logPlayback(session, "stop", context ?? { trigger: "command" });
+		session.stop();
+		session.disconnect();
+		// Stopped on purpose, so don't resume it after a restart
+		this.playbackState.delete(session.guildId);
+		await this.removeNowPlayingPanel(session);
+
+		// Reset bot activity when playback stops
+		this.resetBotActivity();
+
+		// Reset bot nickname to default when playback stops
+		if (guild) {
+			await this.setBotNickname("Nerdland Podcast Player", guild);
+		}
+	}
+
+	async skipEpisode(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session || session.player.state.status === AudioPlayerStatus.Idle) {
 			return await interaction.reply({
-				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				content: "❌ Er wordt momenteel geen audio afgespeeld",
 				flags: MessageFlags.Ephemeral,
 			});
 		}
 
-		const episodeData = this.findEpisodeData(this.currentEpisode.filename);
+		const next = this.queue.list(session.guildId)[0];
+		const nextTitle = next
+			? this.findLocalFile(next.episodeId)?.title
+			: "een willekeurige aflevering";
 
-		if (!episodeData) {
-			return await interaction.reply({
-				content: "❌ Geen shownotes beschikbaar voor deze aflevering",
-				flags: MessageFlags.Ephemeral,
-			});
+		// The idle handler picks up the next episode
+		this.logPlayback(session, "skip", {
+			trigger: "command",
+			requestedBy: interaction.user.id,
+		});
+		session.skip();
+
+		await interaction.reply({
+			content: `⏭️ Aflevering overgeslagen. Volgende: **${nextTitle ?? "onbekend"}**`,
+		});
+	}
+
+	/**
+	 * IDs of the members in the bot's voice channel of a guild, without bots
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @returns {string[]}
+	 */
+	getListenerIds(session) {
+		const channel = this.client.channels.cache.get(session.channelId);
+		if (!channel?.members) return [];
+		return [...channel.members.filter((member) => !member.user.bot).keys()];
+	}
+
+	/**
+	 * Pause playback when nobody is left in the bot's voice channel and resume
+	 * it when someone joins. A channel that stays empty is left after the
+	 * configured timeout. Open votes are recounted for the new listeners.
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	checkListeners(session) {
+		if (!session.currentEpisode) return;
+		this.recountVotes(session).catch((error) => {
+			console.error("❌ Error recounting votes:", error);
+		});
+		if (this.getListenerIds(session).length > 0) {
+			clearTimeout(session.emptyTimer);
+			session.emptyTimer = null;
+			if (!session.pausedForEmpty) return;
+			// Rejoins the channel when it was left in the meantime
+			const channel = this.client.channels.cache.get(session.channelId);
+			if (session.resume(channel)) {
+				console.log(
+					`▶️ Resumed ${session.currentEpisode.title} for a new listener in guild ${session.guildId}`,
+				);
+			}
+			return;
 		}
 
-		// Use showNotes field if available, otherwise fall back to permalink
-		const showNotesUrl = episodeData.showNotes || episodeData.permalink;
+		if (!session.connection) return;
+		if (session.pause()) {
+			session.pausedForEmpty = true;
+			console.log(
+				`⏸️ Paused ${session.currentEpisode.title}, nobody is listening in guild ${session.guildId}`,
+			);
+		}
+		if (!session.emptyTimer && this.emptyChannelTimeoutMinutes > 0) {
+			session.emptyTimer = setTimeout(
+				() => this.leaveEmptyChannel(session),
+				this.emptyChannelTimeoutMinutes * 60 * 1000,
+			);
+		}
+	}
 
-		await interaction.reply({ content: showNotesUrl });
+	/**
+	 * Leave a voice channel that stayed empty. The episode and position are
+	 * kept, so playback continues when someone joins the channel again.
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	leaveEmptyChannel(session) {
+		session.emptyTimer = null;
+		if (!session.connection || this.getListenerIds(session).length > 0) {
+			return;
+		}
+		console.log(
+			`👋 Leaving empty voice channel after ${this.emptyChannelTimeoutMinutes} minutes in guild ${session.guildId}`,
+		);
+		this.savePlaybackState(session);
+		session.suspend();
+		this.resetBotActivity();
 	}
 
-	async showChapters(interaction, startIdx = 0) {
-		if (!this.currentEpisode) {
+	/**
+	 * Vote to skip or stop the current episode. The vote passes once more than
+	 * the vote threshold of the listeners agree.
+	 * @param {object} interaction - The command or vote button interaction
+	 * @param {"skip"|"stop"} action - What the vote is about
+	 */
+	async castVote(interaction, action) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode || !session.connection) {
 			return await interaction.reply({
 				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
 				flags: MessageFlags.Ephemeral,
 			});
 		}
-		const episodeData = this.findEpisodeData(this.currentEpisode.filename);
-		if (
-			!episodeData ||
-			!episodeData.chapters ||
-			episodeData.chapters.length === 0
-		) {
+		const listenerIds = this.getListenerIds(session);
+		if (!listenerIds.includes(interaction.user.id)) {
 			return await interaction.reply({
-				content: "❌ Geen hoofdstukken gevonden voor deze aflevering",
+				content:
+					"❌ Alleen luisteraars in het spraakkanaal van de bot kunnen stemmen",
 				flags: MessageFlags.Ephemeral,
 			});
 		}
-		const { ActionRowBuilder, StringSelectMenuBuilder } = await import(
-			"discord.js"
-		);
-		const maxOptions = 24; // 24 chapters + 1 for 'Show more'
-		const totalChapters = episodeData.chapters.length;
-		const endIdx = Math.min(startIdx + maxOptions, totalChapters);
-		const options = episodeData.chapters
-			.slice(startIdx, endIdx)
-			.map((ch, idx) => ({
-				label: ch.title.substring(0, 100),
-				value: String(startIdx + idx),
-				description: ch.start,
-			}));
-		if (endIdx < totalChapters) {
-			options.push({
-				label: "➡️ Toon meer hoofdstukken...",
-				value: `show_more_${endIdx}`,
-				description: `Hoofdstukken ${endIdx + 1} - ${Math.min(endIdx + maxOptions, totalChapters)}`,
+
+		let vote = session.votes.get(action);
+		if (vote?.episode !== session.currentEpisode) {
+			if (vote) await this.expireVote(session, vote);
+			vote = new Vote(action, session.currentEpisode);
+			session.votes.set(action, vote);
+		}
+		if (!vote.add(interaction.user.id)) {
+			return await interaction.reply({
+				content: "❌ Je hebt al gestemd",
+				flags: MessageFlags.Ephemeral,
 			});
 		}
-		const selectMenu = new StringSelectMenuBuilder()
-			.setCustomId(`chapter_select:${startIdx}`)
-			.setPlaceholder("Kies een hoofdstuk...")
-			.addOptions(options);
-		const row = new ActionRowBuilder().addComponents(selectMenu);
-		let content = `📖 Kies een hoofdstuk om naar te springen: (${startIdx + 1}-${endIdx} van ${totalChapters})`;
-		if (startIdx === 0 && totalChapters > maxOptions) {
-			content += `\n⚠️ Niet alle hoofdstukken worden getoond. Gebruik 'Toon meer' om verder te bladeren.`;
+		const tally = vote.tally(listenerIds, this.voteThreshold);
+		if (tally.passed) {
+			session.votes.delete(action);
 		}
-		if (interaction.replied || interaction.deferred) {
-			await interaction.followUp({
-				content,
-				components: [row],
+
+		const payload = this.createVoteMessage(
+			vote,
+			tally.passed ? "passed" : "open",
+			tally,
+		);
+		if (interaction.isButton()) {
+			vote.message = interaction.message;
+			await interaction.update(payload);
+		} else if (vote.message) {
+			try {
+				await vote.message.edit(payload);
+			} catch (error) {
+				console.error("❌ Error updating vote message:", error);
+			}
+			await interaction.reply({
+				content: `🗳️ Je stem is geteld (${tally.votes}/${tally.needed})`,
 				flags: MessageFlags.Ephemeral,
 			});
 		} else {
-			await interaction.reply({
-				content,
-				components: [row],
-				flags: MessageFlags.Ephemeral,
+			const response = await interaction.reply({
+				...payload,
+				withResponse: true,
 			});
+			vote.message = response.resource?.message ?? null;
 		}
-	}
 
-	async handleChapterSelect(interaction) {
-		if (!this.currentEpisode) {
-			return await interaction.reply({
-				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
-				flags: MessageFlags.Ephemeral,
-			});
+		if (tally.passed) {
+			await this.carryOutVote(session, vote);
 		}
-		const episodeData = this.findEpisodeData(this.currentEpisode.filename);
-		if (
-			!episodeData ||
+	}
+
+	/**
+	 * Skip or stop the episode of a vote that passed
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @param {Vote} vote - The vote that passed
+	 */
+	async carryOutVote(session, vote) {
+		const context = { trigger: "vote", requestedBy: null };
+		if (vote.action === "stop") {
+			const guild = this.client.guilds.cache.get(session.guildId);
+			await this.stopSession(session, guild, context);
+		} else {
+			// The idle handler picks up the next episode
+			this.logPlayback(session, "skip", context);
+			session.skip();
+		}
+	}
+
+	/**
+	 * Recount the open votes of a session after listeners joined or left,
+	 * updating their messages and carrying out the votes that now pass
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	async recountVotes(session) {
+		const listenerIds = this.getListenerIds(session);
+		for (const vote of [...session.votes.values()]) {
+			// Votes of an earlier episode are expired by the player handlers
+			if (vote.episode !== session.currentEpisode) continue;
+			const tally = vote.tally(listenerIds, this.voteThreshold);
+			if (tally.passed) {
+				session.votes.delete(vote.action);
+			}
+			try {
+				await vote.message?.edit(
+					this.createVoteMessage(vote, tally.passed ? "passed" : "open", tally),
+				);
+			} catch (error) {
+				console.error("❌ Error updating vote message:", error);
+			}
+			if (tally.passed) {
+				await this.carryOutVote(session, vote);
+			}
+		}
+	}
+
+	/**
+	 * Close a vote because the episode changed, showing that on its message
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @param {Vote} vote - The vote to close
+	 */
+	async expireVote(session, vote) {
+		if (session.votes.get(vote.action) === vote) {
+			session.votes.delete(vote.action);
+		}
+		try {
+			await vote.message?.edit(this.createVoteMessage(vote, "expired"));
+		} catch (error) {
+			console.error("❌ Error updating vote message:", error);
+		}
+	}
+
+	/**
+	 * Create the message with the tally of a vote and a button to vote along
+	 * @param {Vote} vote - The vote
+	 * @param {"open"|"passed"|"expired"} status - State of the vote
+	 * @param {{votes: number, needed: number}|null} tally - The current tally
+	 * @returns {object} - Message payload
+	 */
+	createVoteMessage(vote, status, tally = null) {
+		const titles = {
+			skip: "⏭️ Stemming: aflevering overslaan",
+			stop: "⏹️ Stemming: afspelen stoppen",
+		};
+		const results = {
+			open: tally ? `${tally.votes}/${tally.needed} stemmen` : "",
+			passed:
+				vote.action === "skip"
+					? "✅ Aangenomen, de aflevering wordt overgeslagen"
+					: "✅ Aangenomen, het afspelen stopt",
+			expired: "⌛ Verlopen, er speelt een andere aflevering",
+		};
+		const colors = { open: 0x00ae86, passed: 0x57f287, expired: 0x99aab5 };
+		const embed = new EmbedBuilder()
+			.setColor(colors[status])
+			.setTitle(titles[vote.action])
+			.setDescription(`**${vote.episode.title}**\n${results[status]}`);
+		const button = new ButtonBuilder()
+			.setCustomId(`vote:${vote.action}`)
+			.setLabel(
+				tally ? `Stem mee (${tally.votes}/${tally.needed})` : "Stem mee",
+			)
+			.setEmoji("🗳️")
+			.setStyle(ButtonStyle.Primary)
+			.setDisabled(status !== "open");
+		return {
+			embeds: [embed],
+			components: [new ActionRowBuilder().addComponents(button)],
+		};
+	}
+
+	async pausePlayback(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		if (!session.pause()) {
+			return await interaction.reply({
+				content: "❌ De aflevering is al gepauzeerd",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const embed = new EmbedBuilder()
+			.setColor(0xffc107)
+			.setTitle("⏸️ Gepauzeerd")
+			.setDescription(
+				`**${session.currentEpisode.title}** gepauzeerd op ${formatTimestamp(session.position)}`,
+			);
+		await interaction.reply({ embeds: [embed] });
+	}
+
+	async resumePlayback(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er is geen gepauzeerde aflevering om verder te spelen",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		if (!session.isPaused) {
+			return await interaction.reply({
+				content: "❌ De aflevering is niet gepauzeerd",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const voiceChannel = await this.getResumeVoiceChannel(interaction, session);
+		if (!session.resume(voiceChannel)) {
+			return await interaction.reply({
+				content:
+					"❌ Kon niet verder spelen. Ga naar een spraakkanaal of configureer VOICE_CHANNEL_ID in je omgeving.",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const embed = new EmbedBuilder()
+			.setColor(0x00ae86)
+			.setTitle("▶️ Verder Aan Het Spelen")
+			.setDescription(
+				`**${session.currentEpisode.title}** vanaf ${formatTimestamp(session.position)}`,
+			);
+		await interaction.reply({ embeds: [embed] });
+	}
+
+	/**
+	 * Get the voice channel to rejoin when resuming a session that lost its connection
+	 * @param {object} interaction - Discord interaction object
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @returns {Promise<object|null>} - Voice channel object or null
+	 */
+	async getResumeVoiceChannel(interaction, session) {
+		if (session.connection) return null;
+		// Prefer the last used channel
+		if (session.channelId) {
+			const channel = await interaction.guild.channels
+				.fetch(session.channelId)
+				.catch(() => null);
+			if (channel) return channel;
+		}
+		return await this.getTargetVoiceChannel(
+			interaction,
+			interaction.member?.voice?.channel,
+		);
+	}
+
+	/**
+	 * Seek within the current episode, keeping the voice connection. A paused
+	 * episode stays paused at the new position.
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @param {number} seconds - Position to seek to, clamped at the start of the episode
+	 * @returns {number|null} - The new position, or null if it is past the end of the episode
+	 */
+	seekSession(session, seconds) {
+		const target = Math.max(0, Math.floor(seconds));
+		const duration = this.findEpisodeData(
+			session.currentEpisode.filename,
+		)?.duration;
+		if (duration && target >= duration / 1000) {
+			return null;
+		}
+		// The voice connection stays as it is, only the stream is swapped
+		session.seek(target);
+		return target;
+	}
+
+	/**
+	 * Jump to the next or previous chapter of the playing episode
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @param {number} direction - 1 for the next chapter, -1 for the previous one
+	 * @returns {object|null} - The chapter that was jumped to, or null if there is none
+	 */
+	seekToAdjacentChapter(session, direction) {
+		const chapters =
+			this.findEpisodeData(session.currentEpisode.filename)?.chapters ?? [];
+		const position = session.position;
+		const index = getChapterIndexAt(chapters, position);
+		// Like most players, going back restarts the current chapter unless it just started
+		const restartCurrent =
+			direction < 0 &&
+			index >= 0 &&
+			position - getChapterStart(chapters[index]) > 5;
+		const chapter = chapters[restartCurrent ? index : index + direction];
+		if (!chapter) return null;
+		session.seek(getChapterStart(chapter));
+		return chapter;
+	}
+
+	async seekPlayback(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode || !session.connection) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const input = interaction.options.getString("time");
+		const target = parseSeekInput(input);
+		if (!target) {
+			return await interaction.reply({
+				content: `❌ Ongeldig tijdstip: \`${input}\`. Gebruik bijvoorbeeld 1:23:45, 45:10, 90s, +30s of -2m.`,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const seconds = this.seekSession(
+			session,
+			target.relative ? session.position + target.seconds : target.seconds,
+		);
+		if (seconds === null) {
+			const duration = this.findEpisodeData(
+				session.currentEpisode.filename,
+			).duration;
+			return await interaction.reply({
+				content: `❌ De aflevering duurt maar ${formatTimestamp(duration / 1000)}`,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		await interaction.reply({
+			content: `⏩ Gesprongen naar ${formatTimestamp(seconds)}${session.isPaused ? " (gepauzeerd)" : ""}`,
+		});
+	}
+
+	/**
+	 * Cut a fragment of the current episode with ffmpeg and post it as an attachment
+	 * @param {object} interaction - The command interaction
+	 */
+	async clipEpisode(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const startInput = interaction.options.getString("start");
+		const endInput = interaction.options.getString("end");
+		const format = interaction.options.getString("format") ?? "mp3";
+		for (const input of [startInput, endInput]) {
+			if (input !== null && parseTimestamp(input) === null) {
+				return await interaction.reply({
+					content: `❌ Ongeldig tijdstip: \`${input}\`. Gebruik bijvoorbeeld 1:23:45, 45:10 of 90s.`,
+					flags: MessageFlags.Ephemeral,
+				});
+			}
+		}
+		let start;
+		let end;
+		if (startInput === null) {
+			// Without a start, the clip ends at the end or the current position
+			end =
+				endInput === null
+					? Math.floor(session.position)
+					: parseTimestamp(endInput);
+			start = Math.max(0, end - DEFAULT_CLIP_SECONDS);
+		} else {
+			start = parseTimestamp(startInput);
+			end =
+				endInput === null
+					? start + DEFAULT_CLIP_SECONDS
+					: parseTimestamp(endInput);
+		}
+		const duration = this.findEpisodeData(
+			session.currentEpisode.filename,
+		)?.duration;
+		if (duration) {
+			end = Math.min(end, Math.floor(duration / 1000));
+		}
+		if (end <= start) {
+			return await interaction.reply({
+				content: "❌ Het einde van het fragment moet na het begin liggen",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		if (end - start > MAX_CLIP_SECONDS) {
+			return await interaction.reply({
+				content: `❌ Een fragment mag maximaal ${MAX_CLIP_SECONDS} seconden duren`,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		await interaction.deferReply();
+		const episode = session.currentEpisode;
+		let clip;
+		try {
+			clip = await createClip(episode.path, start, end - start, { format });
+		} catch (error) {
+			console.error("❌ Error creating clip:", error);
+			return await interaction.editReply({
+				content: "❌ Kon het fragment niet maken",
+			});
+		}
+		const uploadLimit =
+			UPLOAD_LIMITS[interaction.guild?.premiumTier] ?? UPLOAD_LIMITS[0];
+		if (clip.length > uploadLimit) {
+			return await interaction.editReply({
+				content: `❌ Het fragment is te groot om te uploaden (${(clip.length / 1024 / 1024).toFixed(1)} MB, maximaal ${uploadLimit / 1024 / 1024} MB). Kies een korter fragment.`,
+			});
+		}
+
+		const name = `nerdland-${this.getFileEpisodeId(episode.filename) ?? "clip"}-${formatTimestamp(start).replaceAll(":", "-")}.${format === "opus" ? "ogg" : "mp3"}`;
+		await interaction.editReply({
+			content: `✂️ **${episode.title}** · ${formatTimestamp(start)}–${formatTimestamp(end)}`,
+			files: [new AttachmentBuilder(clip, { name })],
+		});
+	}
+
+	/**
+	 * Get the text channel for messages about playback in a guild
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @returns {string|null} - The channel ID
+	 */
+	getSessionTextChannelId(session) {
+		return (
+			this.nowPlayingChannelId ?? session.textChannelId ?? session.channelId
+		);
+	}
+
+	/**
+	 * Remove the "Nerdland Maandoverzicht:" and "Nerdland Special:" prefixes from a title
+	 * @param {string} title - The episode title
+	 * @returns {string} - The shortened title
+	 */
+	getShortTitle(title) {
+		return title
+			.replace("Nerdland Maandoverzicht:", "")
+			.replace("Nerdland Special:", "")
+			.trim();
+	}
+
+	/**
+	 * Notice when playback crosses a chapter boundary: show the chapter in the
+	 * bot's activity and, when enabled, announce it in the text channel
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	async trackChapter(session) {
+		if (!session.currentEpisode || session.isPaused) return;
+		const chapters =
+			this.findEpisodeData(session.currentEpisode.filename)?.chapters ?? [];
+		const index = getChapterIndexAt(chapters, session.position);
+		const previous = session.chapter;
+		session.chapter = { filename: session.currentEpisode.filename, index };
+		if (
+			previous?.filename === session.chapter.filename &&
+			previous.index === index
+		) {
+			return;
+		}
+		if (index < 0) return;
+
+		const chapter = chapters[index];
+		this.updateBotActivity(
+			`${this.getShortTitle(session.currentEpisode.title)} — ${chapter.title}`.substring(
+				0,
+				128,
+			),
+		);
+
+		// A new episode starting is not a chapter change worth announcing
+		const sameEpisode = previous?.filename === session.chapter.filename;
+		const channelId = this.getSessionTextChannelId(session);
+		if (!this.chapterAnnouncements || !sameEpisode || !channelId) return;
+		try {
+			const channel = await this.client.channels.fetch(channelId);
+			await channel.send({
+				content: `📖 Nieuw hoofdstuk (${chapter.start}): **${chapter.title}**`,
+			});
+		} catch (error) {
+			console.error("❌ Error announcing chapter:", error);
+		}
+	}
+
+	/**
+	 * Post the "now playing" control panel of a guild, or refresh its progress
+	 * bar and chapter. Removes the panel when nothing is playing anymore.
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	async updateNowPlayingPanel(session) {
+		if (
+			!session.currentEpisode ||
+			session.player.state.status === AudioPlayerStatus.Idle
+		) {
+			await this.removeNowPlayingPanel(session);
+			return;
+		}
+		const channelId = this.getSessionTextChannelId(session);
+		if (!channelId || session.panelBusy) return;
+
+		const episodeData = this.findEpisodeData(session.currentEpisode.filename);
+		const payload = createNowPlayingMessage({
+			fileData: session.currentEpisode,
+			episodeData,
+			position: session.position,
+			chapters: episodeData?.chapters,
+			paused: session.isPaused,
+		});
+
+		session.panelBusy = true;
+		try {
+			if (session.panelMessage?.channelId === channelId) {
+				await session.panelMessage.edit(payload);
+			} else {
+				await session.panelMessage?.delete().catch(() => {});
+				const channel = await this.client.channels.fetch(channelId);
+				session.panelMessage = await channel.send(payload);
+			}
+		} catch (error) {
+			console.error("❌ Error updating now playing panel:", error);
+			session.panelMessage = null;
+		} finally {
+			session.panelBusy = false;
+		}
+
+		session.panelTimer ??= setInterval(
+			() => this.updateNowPlayingPanel(session),
+			NOW_PLAYING_INTERVAL_MS,
+		);
+	}
+
+	/**
+	 * Delete the "now playing" control panel of a guild
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 */
+	async removeNowPlayingPanel(session) {
+		clearInterval(session.panelTimer);
+		session.panelTimer = null;
+		const message = session.panelMessage;
+		session.panelMessage = null;
+		await message?.delete().catch(() => {});
+	}
+
+	async handleNowPlayingButton(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const action = interaction.customId.split(":")[1];
+		switch (action) {
+			case "toggle_pause":
+				if (session.isPaused) {
+					const voiceChannel = await this.getResumeVoiceChannel(
+						interaction,
+						session,
+					);
+					session.resume(voiceChannel);
+				} else {
+					session.pause();
+				}
+				break;
+			case "skip":
+				this.logPlayback(session, "skip", {
+					trigger: "command",
+					requestedBy: interaction.user.id,
+				});
+				session.skip();
+				break;
+			case "stop":
+				await interaction.deferUpdate();
+				await this.stopSession(session, interaction.guild, {
+					trigger: "command",
+					requestedBy: interaction.user.id,
+				});
+				return;
+			case "prev_chapter":
+			case "next_chapter": {
+				const chapter = this.seekToAdjacentChapter(
+					session,
+					action === "next_chapter" ? 1 : -1,
+				);
+				if (!chapter) {
+					return await interaction.reply({
+						content:
+							action === "next_chapter"
+								? "❌ Er is geen volgend hoofdstuk"
+								: "❌ Er is geen vorig hoofdstuk",
+						flags: MessageFlags.Ephemeral,
+					});
+				}
+				break;
+			}
+			case "back":
+			case "forward":
+				if (
+					this.seekSession(
+						session,
+						session.position + (action === "forward" ? 30 : -30),
+					) === null
+				) {
+					return await interaction.reply({
+						content: "❌ Kan niet voorbij het einde van de aflevering springen",
+						flags: MessageFlags.Ephemeral,
+					});
+				}
+				break;
+			default:
+				return await interaction.reply({
+					content: "❌ Onbekende knop",
+					flags: MessageFlags.Ephemeral,
+				});
+		}
+
+		await interaction.deferUpdate();
+		await this.updateNowPlayingPanel(session);
+	}
+
+	async setPlaybackSpeed(interaction) {
+		const speed = interaction.options.getNumber("speed");
+		const session = this.sessions.get(interaction.guildId);
+		// Re-renders the stream at the current position when something is playing
+		session.setSpeed(speed);
+		await interaction.reply({
+			content: `⏩ Afspeelsnelheid ingesteld op ${speed}x`,
+		});
+	}
+
+	async setPlaybackVolume(interaction) {
+		const level = interaction.options.getInteger("level");
+		const normalize = interaction.options.getBoolean("normalize");
+		const changes = {};
+		if (level !== null) changes.volume = level;
+		if (normalize !== null) changes.normalize = normalize;
+
+		const settings = this.guildSettings.update(interaction.guildId, changes);
+		const session = this.sessions.get(interaction.guildId);
+		session.setVolume(settings.volume);
+		session.setNormalize(settings.normalize);
+
+		await interaction.reply({
+			content: `🔊 Volume: ${settings.volume}% — Loudness-normalisatie: ${settings.normalize ? "aan" : "uit"}`,
+		});
+	}
+
+	async handleQueueCommand(interaction, subcommand) {
+		const guildId = interaction.guildId;
+		switch (subcommand) {
+			case "add":
+				await this.addToQueue(interaction);
+				break;
+			case "list":
+				await this.showQueue(interaction);
+				break;
+			case "remove": {
+				const position = interaction.options.getInteger("position");
+				const removed = this.queue.remove(guildId, position - 1);
+				if (!removed) {
+					return await interaction.reply({
+						content: `❌ Er staat niets op positie ${position} in de wachtrij`,
+						flags: MessageFlags.Ephemeral,
+					});
+				}
+				await interaction.reply({
+					content: `🗑️ **${this.getQueueItemTitle(removed)}** verwijderd uit de wachtrij`,
+				});
+				break;
+			}
+			case "move": {
+				const from = interaction.options.getInteger("from");
+				const to = interaction.options.getInteger("to");
+				if (!this.queue.move(guildId, from - 1, to - 1)) {
+					return await interaction.reply({
+						content: "❌ Ongeldige positie in de wachtrij",
+						flags: MessageFlags.Ephemeral,
+					});
+				}
+				await interaction.reply({
+					content: `↕️ Aflevering verplaatst van positie ${from} naar ${to}`,
+				});
+				break;
+			}
+			case "clear": {
+				const count = this.queue.clear(guildId);
+				await interaction.reply({
+					content: `🧹 Wachtrij geleegd (${count} afleveringen verwijderd)`,
+				});
+				break;
+			}
+			default:
+				await interaction.reply({
+					content: "❌ Onbekend commando",
+					flags: MessageFlags.Ephemeral,
+				});
+		}
+	}
+
+	async addToQueue(interaction) {
+		const episodeId = interaction.options.getString("episode");
+		const localFile = this.findLocalFile(episodeId);
+		if (!localFile) {
+			return await interaction.reply({
+				content:
+					"❌ Afleveringsbestand niet lokaal gevonden. Download de aflevering eerst met `npm run download-episodes`.",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const session = this.sessions.find(interaction.guildId);
+		const isPlaying =
+			session?.connection &&
+			session.player.state.status !== AudioPlayerStatus.Idle;
+
+		if (!isPlaying) {
+			// Nothing to wait for: play it right away
+			const targetVoiceChannel = await this.getTargetVoiceChannel(
+				interaction,
+				interaction.member?.voice?.channel,
+			);
+			if (!targetVoiceChannel) {
+				return await interaction.reply({
+					content:
+						"❌ Geen spraakkanaal beschikbaar! Ga naar een spraakkanaal of configureer VOICE_CHANNEL_ID in je omgeving.",
+					flags: MessageFlags.Ephemeral,
+				});
+			}
+			await interaction.deferReply();
+			try {
+				await this.playLocalFile(
+					this.sessions.get(targetVoiceChannel.guild.id),
+					localFile,
+					targetVoiceChannel,
+					interaction,
+					"specific",
+				);
+			} catch (error) {
+				console.error("❌ Error playing queued episode:", error);
+				await interaction.editReply({
+					content: "❌ Kon de geselecteerde aflevering niet afspelen",
+				});
+			}
+			return;
+		}
+
+		const position = this.queue.add(interaction.guildId, {
+			episodeId,
+			requestedBy: interaction.user?.id ?? null,
+		});
+		await interaction.reply({
+			content: `📋 **${localFile.title}** toegevoegd aan de wachtrij op positie ${position}`,
+		});
+	}
+
+	async showQueue(interaction) {
+		const items = this.queue.list(interaction.guildId);
+		if (items.length === 0) {
+			return await interaction.reply({
+				content: "📋 De wachtrij is leeg",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const maxItems = 20;
+		const lines = items.slice(0, maxItems).map((item, idx) => {
+			const requester = item.requestedBy ? ` — <@${item.requestedBy}>` : "";
+			return `${idx + 1}. ${this.getQueueItemTitle(item)}${requester}`;
+		});
+		if (items.length > maxItems) {
+			lines.push(`… en nog ${items.length - maxItems} afleveringen`);
+		}
+
+		const embed = new EmbedBuilder()
+			.setColor(0x00ae86)
+			.setTitle(`📋 Wachtrij (${items.length})`)
+			.setDescription(lines.join("\n"));
+
+		await interaction.reply({ embeds: [embed] });
+	}
+
+	getQueueItemTitle(item) {
+		return (
+			this.findLocalFile(item.episodeId)?.title ??
+			this.episodes.find((ep) => ep.id.toString() === item.episodeId)?.title ??
+			`Aflevering ${item.episodeId}`
+		);
+	}
+
+	async showEpisodeNotes(interaction) {
+		const currentEpisode = this.sessions.find(
+			interaction.guildId,
+		)?.currentEpisode;
+		if (!currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		const episodeData = this.findEpisodeData(currentEpisode.filename);
+
+		if (!episodeData) {
+			return await interaction.reply({
+				content: "❌ Geen shownotes beschikbaar voor deze aflevering",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+
+		// Use showNotes field if available, otherwise fall back to permalink
+		const showNotesUrl = episodeData.showNotes || episodeData.permalink;
+
+		await interaction.reply({ content: showNotesUrl });
+	}
+
+	async showChapters(interaction, startIdx = 0) {
+		const currentEpisode = this.sessions.find(
+			interaction.guildId,
+		)?.currentEpisode;
+		if (!currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const episodeData = this.findEpisodeData(currentEpisode.filename);
+		if (
+			!episodeData ||
+			!episodeData.chapters ||
+			episodeData.chapters.length === 0
+		) {
+			return await interaction.reply({
+				content: "❌ Geen hoofdstukken gevonden voor deze aflevering",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const { ActionRowBuilder, StringSelectMenuBuilder } = await import(
+			"discord.js"
+		);
+		const maxOptions = 24; // 24 chapters + 1 for 'Show more'
+		const totalChapters = episodeData.chapters.length;
+		const endIdx = Math.min(startIdx + maxOptions, totalChapters);
+		const options = episodeData.chapters
+			.slice(startIdx, endIdx)
+			.map((ch, idx) => ({
+				label: ch.title.substring(0, 100),
+				value: String(startIdx + idx),
+				description: ch.start,
+			}));
+		if (endIdx < totalChapters) {
+			options.push({
+				label: "➡️ Toon meer hoofdstukken...",
+				value: `show_more_${endIdx}`,
+				description: `Hoofdstukken ${endIdx + 1} - ${Math.min(endIdx + maxOptions, totalChapters)}`,
+			});
+		}
+		const selectMenu = new StringSelectMenuBuilder()
+			.setCustomId(`chapter_select:${startIdx}`)
+			.setPlaceholder("Kies een hoofdstuk...")
+			.addOptions(options);
+		const row = new ActionRowBuilder().addComponents(selectMenu);
+		let content = `📖 Kies een hoofdstuk om naar te springen: (${startIdx + 1}-${endIdx} van ${totalChapters})`;
+		if (startIdx === 0 && totalChapters > maxOptions) {
+			content += `\n⚠️ Niet alle hoofdstukken worden getoond. Gebruik 'Toon meer' om verder te bladeren.`;
+		}
+		if (interaction.replied || interaction.deferred) {
+			await interaction.followUp({
+				content,
+				components: [row],
+				flags: MessageFlags.Ephemeral,
+			});
+		} else {
+			await interaction.reply({
+				content,
+				components: [row],
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+	}
+
+	/**
+	 * Jump to the next or previous chapter of the current episode
+	 * @param {object} interaction - Discord interaction object
+	 * @param {number} direction - 1 for the next chapter, -1 for the previous one
+	 */
+	async jumpChapter(interaction, direction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode || !session.connection) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const chapter = this.seekToAdjacentChapter(session, direction);
+		if (!chapter) {
+			return await interaction.reply({
+				content:
+					direction > 0
+						? "❌ Er is geen volgend hoofdstuk"
+						: "❌ Er is geen vorig hoofdstuk",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		await interaction.reply({
+			content: `${direction > 0 ? "⏭️" : "⏮️"} Hoofdstuk (${chapter.start}): **${chapter.title}**${session.isPaused ? " (gepauzeerd)" : ""}`,
+		});
+	}
+
+	async showNowPlaying(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const episodeData = this.findEpisodeData(session.currentEpisode.filename);
+		const { embeds } = createNowPlayingMessage({
+			fileData: session.currentEpisode,
+			episodeData,
+			position: session.position,
+			chapters: episodeData?.chapters,
+			paused: session.isPaused,
+		});
+		await interaction.reply({ embeds });
+	}
+
+	async handleChapterSelect(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const episodeData = this.findEpisodeData(session.currentEpisode.filename);
+		if (
+			!episodeData ||
 			!episodeData.chapters ||
 			episodeData.chapters.length === 0
 		) {
@@ -651,7 +2544,8 @@ export default class DiscordBot {
 			userVoiceChannel,
 		);
 		await this.seekToChapter(
-			this.currentEpisode,
+			session,
+			session.currentEpisode,
 			targetVoiceChannel,
 			chapter.start,
 			interaction,
@@ -659,75 +2553,540 @@ export default class DiscordBot {
 	}
 
 	/**
-	 * Get the configured voice channel (for auto-start, no interaction needed)
+	 * Get the configured voice channel (for auto-start, no interaction needed)
+	 */
+	async getConfiguredVoiceChannel() {
+		if (!this.voiceChannelId) {
+			return null;
+		}
+
+		try {
+			// Get the guild from the configured guild ID
+			const guild = this.client.guilds.cache.get(this.guildId);
+			if (!guild) {
+				console.error(`Guild ${this.guildId} not found`);
+				return null;
+			}
+
+			const configuredChannel = await guild.channels.fetch(this.voiceChannelId);
+
+			if (configuredChannel?.isVoiceBased()) {
+				console.log(
+					`Using configured voice channel: ${configuredChannel.name}`,
+				);
+				return configuredChannel;
+			}
+			console.warn(
+				`Configured voice channel ID ${this.voiceChannelId} not found or not a voice channel`,
+			);
+			return null;
+		} catch (error) {
+			console.error(
+				`Error fetching configured voice channel ${this.voiceChannelId}:`,
+				error,
+			);
+			return null;
+		}
+	}
+
+	/**
+	 * Auto-start playback when the bot is ready (no interaction required)
+	 */
+	async autoStartPlayback() {
+		try {
+			console.log("🎵 Attempting to auto-start playback...");
+
+			// Check if we have episodes available
+			if (!this.localFiles.length) {
+				console.log("❌ No episodes available for auto-start");
+				return;
+			}
+
+			// Get the configured voice channel
+			const targetVoiceChannel = await this.getConfiguredVoiceChannel();
+
+			if (!targetVoiceChannel) {
+				console.log(
+					"❌ No voice channel configured for auto-start. Set VOICE_CHANNEL_ID in your .env file",
+				);
+				return;
+			}
+
+			// Get the latest local file (assuming they're sorted by date)
+			const latestFile = this.localFiles[this.localFiles.length - 1];
+			console.log(`🎵 Auto-starting with latest episode: ${latestFile.title}`);
+
+			await this.playLocalFile(
+				this.sessions.get(targetVoiceChannel.guild.id),
+				latestFile,
+				targetVoiceChannel,
+				null,
+				"playing",
+				0,
+				{ trigger: "auto-start" },
+			);
+
+			console.log("✅ Auto-playback started successfully");
+		} catch (error) {
+			console.error("❌ Error during auto-start playback:", error);
+		}
+	}
+
+	/**
+	 * Add an event for the current episode of a session to the listening
+	 * history. Only the first stop, skip or completion after a start is logged.
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
+	 * @param {"start"|"stop"|"skip"|"complete"} type - What happened
+	 * @param {{trigger?: string, requestedBy?: string|null}} context - How playback was started or ended, and by whom
+	 */
+	logPlayback(session, type, context = {}) {
+		if (!session.currentEpisode) return;
+		if (type !== "start" && session.endLogged) return;
+		session.endLogged = type !== "start";
+		this.history.log({
+			type,
+			episodeId: this.getFileEpisodeId(session.currentEpisode.filename),
+			guildId: session.guildId,
+			trigger: context.trigger ?? null,
+			requestedBy: context.requestedBy ?? null,
+			position: Math.floor(session.position),
+			listened: Math.floor(session.listenedSeconds),
+		});
+	}
+
+	/**
+	 * Handle the /podcast stats subcommands
+	 * @param {object} interaction - The command interaction
+	 * @param {string} subcommand - overview or history
+	 */
+	async handleStatsCommand(interaction, subcommand) {
+		if (subcommand === "history") {
+			await this.showHistory(interaction);
+		} else {
+			await this.showStats(interaction);
+		}
+	}
+
+	/**
+	 * Show a page of the guild's listening history, newest first
+	 * @param {object} interaction - The command or page button interaction
+	 * @param {number} page - Zero-based page number
+	 */
+	async showHistory(interaction, page = 0) {
+		const events = this.history.events(interaction.guildId).reverse();
+		if (events.length === 0) {
+			return await interaction.reply({
+				content: "📜 Er is nog niets afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const pageCount = Math.ceil(events.length / HISTORY_PAGE_SIZE);
+		const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+		const start = currentPage * HISTORY_PAGE_SIZE;
+		const icons = { start: "▶️", stop: "⏹️", skip: "⏭️", complete: "✅" };
+		const triggers = {
+			command: "commando",
+			autoplay: "autoplay",
+			"auto-start": "automatisch gestart",
+			vote: "stemming",
+		};
+
+		const lines = events
+			.slice(start, start + HISTORY_PAGE_SIZE)
+			.map((event) => {
+				const time = Math.floor(new Date(event.at).getTime() / 1000);
+				const title = this.getQueueItemTitle(event);
+				const details = [
+					triggers[event.trigger] ?? event.trigger,
+					event.requestedBy ? `door <@${event.requestedBy}>` : null,
+				].filter(Boolean);
+				return `<t:${time}:f> ${icons[event.type] ?? ""} **${title}** bij ${formatTimestamp(event.position)}${details.length > 0 ? ` · ${details.join(" ")}` : ""}`;
+			});
+
+		const embed = new EmbedBuilder()
+			.setColor(0x00ae86)
+			.setTitle("📜 Luistergeschiedenis")
+			.setDescription(lines.join("\n"))
+			.setFooter({ text: `Pagina ${currentPage + 1}/${pageCount}` });
+		const components =
+			pageCount > 1
+				? [
+						new ActionRowBuilder().addComponents(
+							new ButtonBuilder()
+								.setCustomId(`history:page:${currentPage - 1}`)
+								.setLabel("Nieuwer")
+								.setEmoji("⬅️")
+								.setStyle(ButtonStyle.Secondary)
+								.setDisabled(currentPage === 0),
+							new ButtonBuilder()
+								.setCustomId(`history:page:${currentPage + 1}`)
+								.setLabel("Ouder")
+								.setEmoji("➡️")
+								.setStyle(ButtonStyle.Secondary)
+								.setDisabled(currentPage === pageCount - 1),
+						),
+					]
+				: [];
+
+		const payload = {
+			embeds: [embed],
+			components,
+			allowedMentions: { parse: [] },
+		};
+		if (interaction.isButton()) {
+			await interaction.update(payload);
+		} else {
+			await interaction.reply({ ...payload, flags: MessageFlags.Ephemeral });
+		}
+	}
+
+	/**
+	 * Show listening statistics of the guild
+	 * @param {object} interaction - The command interaction
+	 */
+	async showStats(interaction) {
+		const stats = this.history.stats(interaction.guildId);
+		if (stats.plays === 0) {
+			return await interaction.reply({
+				content: "📊 Er is nog niets afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const hours = (seconds) =>
+			`${(seconds / 3600).toLocaleString("nl-BE", { maximumFractionDigits: 1 })} uur`;
+
+		const embed = new EmbedBuilder()
+			.setColor(0x00ae86)
+			.setTitle("📊 Luisterstatistieken")
+			.addFields(
+				{
+					name: "⏱️ Totaal beluisterd",
+					value: `${hours(stats.totalSeconds)} in ${stats.plays} keer afspelen`,
+				},
+				{
+					name: "🏆 Meest gespeeld",
+					value: stats.episodes
+						.slice(0, 5)
+						.map(
+							(item, i) =>
+								`${i + 1}. ${this.getQueueItemTitle(item)} (${item.plays}×)`,
+						)
+						.join("\n"),
+				},
+				{
+					name: "🙋 Meest actieve aanvragers",
+					value:
+						stats.requesters
+							.slice(0, 5)
+							.map((item, i) => `${i + 1}. <@${item.userId}> (${item.plays}×)`)
+							.join("\n") || "Nog niemand",
+				},
+				{
+					name: "📅 Per maand",
+					value: stats.months
+						.slice(0, 12)
+						.map(({ month, plays, seconds }) => {
+							const name = new Date(`${month}-01T12:00:00`).toLocaleDateString(
+								"nl-BE",
+								{ month: "long", year: "numeric" },
+							);
+							return `${name}: ${plays}× · ${hours(seconds)}`;
+						})
+						.join("\n"),
+				},
+			);
+		await interaction.reply({
+			embeds: [embed],
+			allowedMentions: { parse: [] },
+		});
+	}
+
+	/**
+	 * Handle the /podcast bookmarks subcommands
+	 * @param {object} interaction - The command interaction
+	 * @param {string} subcommand - add, list, delete or export
+	 */
+	async handleBookmarksCommand(interaction, subcommand) {
+		switch (subcommand) {
+			case "add":
+				await this.addBookmark(interaction);
+				break;
+			case "list":
+				await this.showBookmarks(interaction);
+				break;
+			case "delete":
+				await this.deleteBookmark(interaction);
+				break;
+			case "export":
+				await this.exportBookmarks(interaction);
+				break;
+		}
+	}
+
+	/**
+	 * Bookmark the current episode and position of the guild for the user
+	 * @param {object} interaction - The command interaction
+	 */
+	async addBookmark(interaction) {
+		const session = this.sessions.find(interaction.guildId);
+		if (!session?.currentEpisode) {
+			return await interaction.reply({
+				content: "❌ Er wordt momenteel geen aflevering afgespeeld",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const bookmark = this.bookmarks.add(interaction.user.id, {
+			episodeId: this.getFileEpisodeId(session.currentEpisode.filename),
+			position: Math.floor(session.position),
+			note: interaction.options.getString("note"),
+			guildId: interaction.guildId,
+		});
+		if (!bookmark) {
+			return await interaction.reply({
+				content:
+					"❌ Je hebt het maximum aantal bladwijzers bereikt. Verwijder er eerst een paar met `/podcast bookmarks delete`.",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		await interaction.reply({
+			content: `🔖 Bladwijzer opgeslagen: **${session.currentEpisode.title}** bij ${formatTimestamp(bookmark.position)}${bookmark.note ? ` — ${bookmark.note}` : ""}`,
+			flags: MessageFlags.Ephemeral,
+		});
+	}
+
+	/**
+	 * Show a page of the user's bookmarks, with buttons to jump to or delete each
+	 * @param {object} interaction - The command or button interaction
+	 * @param {number} page - Zero-based page number
+	 */
+	async showBookmarks(interaction, page = 0) {
+		const bookmarks = this.bookmarks.list(interaction.user.id);
+		if (bookmarks.length === 0) {
+			const payload = {
+				content:
+					"🔖 Je hebt nog geen bladwijzers. Bewaar er een met `/podcast bookmarks add`.",
+				embeds: [],
+				components: [],
+			};
+			if (interaction.isButton()) {
+				return await interaction.update(payload);
+			}
+			return await interaction.reply({
+				...payload,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const pageCount = Math.ceil(bookmarks.length / BOOKMARK_PAGE_SIZE);
+		const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+		const start = currentPage * BOOKMARK_PAGE_SIZE;
+		const pageBookmarks = bookmarks.slice(start, start + BOOKMARK_PAGE_SIZE);
+
+		const embed = new EmbedBuilder()
+			.setColor(0x00ae86)
+			.setTitle("🔖 Je bladwijzers")
+			.setDescription(
+				pageBookmarks
+					.map((bookmark, index) => {
+						const note = bookmark.note ? `\n> ${bookmark.note}` : "";
+						return `**${start + index + 1}.** ${this.getQueueItemTitle(bookmark)} bij ${formatTimestamp(bookmark.position)}${note}`;
+					})
+					.join("\n"),
+			)
+			.setFooter({ text: `Pagina ${currentPage + 1}/${pageCount}` });
+
+		const components = pageBookmarks.map((bookmark, index) =>
+			new ActionRowBuilder().addComponents(
+				new ButtonBuilder()
+					.setCustomId(`bookmark:jump:${bookmark.id}`)
+					.setLabel(
+						`${start + index + 1}. Afspelen vanaf ${formatTimestamp(bookmark.position)}`,
+					)
+					.setEmoji("▶️")
+					.setStyle(ButtonStyle.Primary),
+				new ButtonBuilder()
+					.setCustomId(`bookmark:delete:${bookmark.id}:${currentPage}`)
+					.setLabel("Verwijderen")
+					.setEmoji("🗑️")
+					.setStyle(ButtonStyle.Danger),
+			),
+		);
+		components.push(
+			new ActionRowBuilder().addComponents(
+				new ButtonBuilder()
+					.setCustomId(`bookmark:page:${currentPage - 1}`)
+					.setLabel("Vorige")
+					.setEmoji("⬅️")
+					.setStyle(ButtonStyle.Secondary)
+					.setDisabled(currentPage === 0),
+				new ButtonBuilder()
+					.setCustomId(`bookmark:page:${currentPage + 1}`)
+					.setLabel("Volgende")
+					.setEmoji("➡️")
+					.setStyle(ButtonStyle.Secondary)
+					.setDisabled(currentPage === pageCount - 1),
+				new ButtonBuilder()
+					.setCustomId("bookmark:export")
+					.setLabel("Exporteren")
+					.setEmoji("📄")
+					.setStyle(ButtonStyle.Secondary),
+			),
+		);
+
+		const payload = { content: "", embeds: [embed], components };
+		if (interaction.isButton()) {
+			await interaction.update(payload);
+		} else {
+			await interaction.reply({ ...payload, flags: MessageFlags.Ephemeral });
+		}
+	}
+
+	/**
+	 * Delete a bookmark by its number in /podcast bookmarks list
+	 * @param {object} interaction - The command interaction
+	 */
+	async deleteBookmark(interaction) {
+		const number = interaction.options.getInteger("number");
+		const bookmark = this.bookmarks.list(interaction.user.id)[number - 1];
+		if (!bookmark) {
+			return await interaction.reply({
+				content: `❌ Je hebt geen bladwijzer met nummer ${number}`,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		this.bookmarks.remove(interaction.user.id, bookmark.id);
+		await interaction.reply({
+			content: `🗑️ Bladwijzer in **${this.getQueueItemTitle(bookmark)}** bij ${formatTimestamp(bookmark.position)} verwijderd`,
+			flags: MessageFlags.Ephemeral,
+		});
+	}
+
+	/**
+	 * Send the user's bookmarks as a text file, one line per bookmark
+	 * @param {object} interaction - The command or button interaction
+	 */
+	async exportBookmarks(interaction) {
+		const bookmarks = this.bookmarks.list(interaction.user.id);
+		if (bookmarks.length === 0) {
+			return await interaction.reply({
+				content: "🔖 Je hebt nog geen bladwijzers om te exporteren",
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const lines = bookmarks.map((bookmark) => {
+			const episode = this.episodes.find(
+				(ep) => ep.id?.toString() === bookmark.episodeId,
+			);
+			const link = episode?.permalink
+				? ` (${episode.permalink}#t=${formatTimestamp(bookmark.position)})`
+				: "";
+			const note = bookmark.note ? ` — ${bookmark.note}` : "";
+			return `[${formatTimestamp(bookmark.position)}] ${this.getQueueItemTitle(bookmark)}${note}${link}`;
+		});
+		const file = new AttachmentBuilder(Buffer.from(`${lines.join("\n")}\n`), {
+			name: "bladwijzers.txt",
+		});
+		await interaction.reply({
+			content: `📄 Je ${bookmarks.length} bladwijzer(s)`,
+			files: [file],
+			flags: MessageFlags.Ephemeral,
+		});
+	}
+
+	/**
+	 * Handle the jump, delete, page and export buttons of /podcast bookmarks list
+	 * @param {object} interaction - The button interaction
 	 */
-	async getConfiguredVoiceChannel() {
-		if (!this.voiceChannelId) {
-			return null;
-		}
-
-		try {
-			// Get the guild from the configured guild ID
-			const guild = this.client.guilds.cache.get(this.guildId);
-			if (!guild) {
-				console.error(`Guild ${this.guildId} not found`);
-				return null;
-			}
-
-			const configuredChannel = await guild.channels.fetch(this.voiceChannelId);
-
-			if (configuredChannel?.isVoiceBased()) {
-				console.log(
-					`Using configured voice channel: ${configuredChannel.name}`,
+	async handleBookmarkButton(interaction) {
+		const [, action, id, page] = interaction.customId.split(":");
+		switch (action) {
+			case "jump": {
+				const bookmark = this.bookmarks.get(
+					interaction.user.id,
+					Number.parseInt(id, 10),
 				);
-				return configuredChannel;
+				if (!bookmark) {
+					return await interaction.reply({
+						content: "❌ Deze bladwijzer bestaat niet meer",
+						flags: MessageFlags.Ephemeral,
+					});
+				}
+				await this.playEpisodeById(interaction, bookmark.episodeId, {
+					seconds: bookmark.position,
+				});
+				break;
 			}
-			console.warn(
-				`Configured voice channel ID ${this.voiceChannelId} not found or not a voice channel`,
-			);
-			return null;
-		} catch (error) {
-			console.error(
-				`Error fetching configured voice channel ${this.voiceChannelId}:`,
-				error,
-			);
-			return null;
+			case "delete":
+				this.bookmarks.remove(interaction.user.id, Number.parseInt(id, 10));
+				await this.showBookmarks(interaction, Number.parseInt(page, 10));
+				break;
+			case "page":
+				await this.showBookmarks(interaction, Number.parseInt(id, 10));
+				break;
+			case "export":
+				await this.exportBookmarks(interaction);
+				break;
 		}
 	}
 
 	/**
-	 * Auto-start playback when the bot is ready (no interaction required)
+	 * Save the episode, position and voice channel of a guild session
+	 * @param {import("./guild-session.js").GuildSession} session - The guild session
 	 */
-	async autoStartPlayback() {
-		try {
-			console.log("🎵 Attempting to auto-start playback...");
+	savePlaybackState(session) {
+		if (!session.currentEpisode || !session.channelId) return;
+		this.playbackState.set(session.guildId, {
+			episodeId: this.getFileEpisodeId(session.currentEpisode.filename),
+			position: Math.floor(session.position),
+			channelId: session.channelId,
+			savedAt: new Date().toISOString(),
+		});
+	}
 
-			// Check if we have episodes available
-			if (!this.localFiles.length) {
-				console.log("❌ No episodes available for auto-start");
-				return;
-			}
+	savePlaybackStates() {
+		for (const session of this.sessions.values()) {
+			this.savePlaybackState(session);
+		}
+	}
 
-			// Get the configured voice channel
-			const targetVoiceChannel = await this.getConfiguredVoiceChannel();
+	/**
+	 * Resume the episodes that were playing when the bot last shut down
+	 * @returns {Promise<Set<string>>} - IDs of the guilds where playback was resumed
+	 */
+	async resumeSavedPlayback() {
+		const resumedGuilds = new Set();
+		for (const [guildId, state] of Object.entries(this.playbackState.JSON())) {
+			try {
+				const localFile = this.findLocalFile(state.episodeId);
+				const guild = this.client.guilds.cache.get(guildId);
+				const voiceChannel = await guild?.channels
+					.fetch(state.channelId)
+					.catch(() => null);
+				if (!localFile || !voiceChannel?.isVoiceBased()) {
+					console.warn(
+						`⚠️ Cannot resume playback in guild ${guildId}: episode or voice channel not found`,
+					);
+					this.playbackState.delete(guildId);
+					continue;
+				}
 
-			if (!targetVoiceChannel) {
 				console.log(
-					"❌ No voice channel configured for auto-start. Set VOICE_CHANNEL_ID in your .env file",
+					`⏯️ Resuming ${localFile.title} at ${formatTimestamp(state.position)} in guild ${guildId}`,
 				);
-				return;
+				await this.playLocalFile(
+					this.sessions.get(guildId),
+					localFile,
+					voiceChannel,
+					null,
+					"playing",
+					state.position,
+					{ trigger: "auto-start" },
+				);
+				resumedGuilds.add(guildId);
+			} catch (error) {
+				console.error(`❌ Error resuming playback in guild ${guildId}:`, error);
 			}
-
-			// Get the latest local file (assuming they're sorted by date)
-			const latestFile = this.localFiles[this.localFiles.length - 1];
-			console.log(`🎵 Auto-starting with latest episode: ${latestFile.title}`);
-
-			await this.playLocalFile(latestFile, targetVoiceChannel);
-
-			console.log("✅ Auto-playback started successfully");
-		} catch (error) {
-			console.error("❌ Error during auto-start playback:", error);
 		}
+		return resumedGuilds;
 	}
 
 	/**
@@ -747,6 +3106,24 @@ export default class DiscordBot {
 		}
 	}
 
+	/**
+	 * Show the episode of a guild that is still playing, or the default activity
+	 */
+	resetBotActivity() {
+		for (const session of this.sessions.values()) {
+			if (
+				session.currentEpisode &&
+				session.player.state.status === AudioPlayerStatus.Playing
+			) {
+				this.updateBotActivity(
+					this.getShortTitle(session.currentEpisode.title),
+				);
+				return;
+			}
+		}
+		this.updateBotActivity("Nerdland Podcast Player");
+	}
+
 	async registerCommands() {
 		if (!this.guildId) {
 			console.log("📝 Registering global commands...");
@@ -769,12 +3146,15 @@ export default class DiscordBot {
 	}
 
 	async stop() {
-		if (this.player) {
-			this.player.stop();
-		}
-
-		if (this.connection) {
-			this.connection.destroy();
+		clearInterval(this.playbackStateTimer);
+		clearInterval(this.chapterTimer);
+		this.updateScheduler.stop();
+		// Remember what was playing so it can be resumed on the next start
+		this.savePlaybackStates();
+		for (const session of this.sessions.values()) {
+			await this.removeNowPlayingPanel(session);
+			session.stop();
+			session.disconnect();
 		}
 
 		await this.client.destroy();
@@ -860,46 +3240,20 @@ export default class DiscordBot {
 		}
 	}
 
-	async seekToChapter(fileData, voiceChannel, timestamp, interaction) {
+	async seekToChapter(session, fileData, voiceChannel, timestamp, interaction) {
 		try {
-			if (this.connection) {
-				this.connection.destroy();
-				this.connection = null;
-			}
-			if (this.player) {
-				this.player.stop();
-			}
-			// Parse timestamp (hh:mm:ss)
-			const [hh, mm, ss] = timestamp.split(":").map(Number);
-			if (Number.isNaN(hh) || Number.isNaN(mm) || Number.isNaN(ss)) {
+			const seconds = parseTimestamp(timestamp);
+			if (seconds === null) {
 				throw new Error(`Invalid timestamp format: ${timestamp}`);
 			}
-			const seconds = hh * 3600 + mm * 60 + ss;
+			// Join voice channel if not already connected, an existing connection is kept
+			session.connect(voiceChannel);
 			// Use direct ffmpeg subprocess to seek to the timestamp
-			const { createAudioResource } = await import("@discordjs/voice");
-			const { createFfmpegStream } = await import("./ffmpeg-stream.js");
-			const ffmpegStream = createFfmpegStream(fileData.path, seconds);
-			// Join voice channel if not already connected
-			if (voiceChannel && !this.connection) {
-				this.connection = joinVoiceChannel({
-					channelId: voiceChannel.id,
-					guildId: voiceChannel.guild.id,
-					adapterCreator: voiceChannel.guild.voiceAdapterCreator,
-				});
-			}
-			const resource = createAudioResource(ffmpegStream);
-			this.player.play(resource);
-			if (this.connection) {
-				this.connection.subscribe(this.player);
-			}
-			this.currentEpisode = fileData;
-			const activity = fileData.title
-				.replace("Nerdland Maandoverzicht:", "")
-				.replace("Nerdland Special:", "")
-				.trim();
+			session.playFrom(fileData, seconds);
+			const activity = this.getShortTitle(fileData.title);
 			this.updateBotActivity(activity);
 			const episodeTitle = fileData.title;
-			const guild = voiceChannel.guild;
+			const guild = this.client.guilds.cache.get(session.guildId);
 			await this.setBotNickname(episodeTitle, guild);
 			if (interaction?.editReply) {
 				const embed = this.createEpisodeEmbed(fileData, "playing");
@@ -916,40 +3270,98 @@ export default class DiscordBot {
 	}
 
 	async handleAutocomplete(interaction) {
-		const focusedOption = interaction.options.getFocused();
-		const query = focusedOption.toLowerCase();
-
-		// Get categorized episodes for autocomplete
-		const monthlyEpisodes = this.episodes
-			.filter((ep) => ep.title?.includes("Nerdland Maandoverzicht:"))
-			.sort(
-				(a, b) =>
-					new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
-			);
-		const specialEpisodes = this.episodes
-			.filter((ep) => ep.title?.includes("Nerdland Special:"))
-			.sort(
-				(a, b) =>
-					new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
+		if (interaction.options.getSubcommand(false) === "topic") {
+			await this.handleTopicAutocomplete(interaction);
+			return;
+		}
+		if (interaction.options.getSubcommandGroup(false) === "permissions") {
+			const query = interaction.options.getFocused().toLowerCase();
+			await interaction.respond(
+				this.getCommandKeys()
+					.filter((key) => key.includes(query))
+					.slice(0, 25)
+					.map((key) => ({ name: `/podcast ${key}`, value: key })),
 			);
+			return;
+		}
+		const query = interaction.options.getFocused();
+		const localIds = new Set(
+			this.localFiles.map((file) => this.getFileEpisodeId(file.filename)),
+		);
+		const choices = rankEpisodes(this.episodes, query, (episode) =>
+			localIds.has(String(episode.id)),
+		)
+			.slice(0, 25)
+			.map(({ episode, available }) => ({
+				name: this.formatEpisodeChoice(episode, available),
+				value: episode.id.toString(),
+			}));
+		await interaction.respond(choices);
+	}
+
+	/**
+	 * Autocomplete choice name with the duration and whether the MP3 is downloaded
+	 * @param {object} episode - The episode data
+	 * @param {boolean} available - Whether the episode has a local file
+	 * @returns {string} - Name of at most 100 characters
+	 */
+	formatEpisodeChoice(episode, available) {
+		const details = [
+			episode.durationFormatted,
+			available ? null : "niet gedownload",
+		].filter(Boolean);
+		const suffix = details.length > 0 ? ` (${details.join(", ")})` : "";
+		const prefix = available ? "💾 " : "☁️ ";
+		const maxTitleLength = 100 - prefix.length - suffix.length;
+		const title =
+			episode.title.length > maxTitleLength
+				? `${episode.title.slice(0, maxTitleLength - 1)}…`
+				: episode.title;
+		return `${prefix}${title}${suffix}`;
+	}
 
-		const choices = [];
-		const filteredMonthly = monthlyEpisodes
-			.filter((ep) => ep.title.toLowerCase().includes(query))
-			.slice(0, 15);
-		for (const ep of filteredMonthly) {
-			choices.push({ name: ep.title, value: ep.id.toString() });
-		}
-		const remainingSlots = 25 - choices.length;
-		if (remainingSlots > 0) {
-			const filteredSpecial = specialEpisodes
-				.filter((ep) => ep.title.toLowerCase().includes(query))
-				.slice(0, remainingSlots);
-			for (const ep of filteredSpecial) {
-				choices.push({ name: ep.title, value: ep.id.toString() });
+	/**
+	 * Suggest chapters of every episode matching what has been typed so far
+	 * @param {object} interaction - The autocomplete interaction
+	 */
+	async handleTopicAutocomplete(interaction) {
+		const query = interaction.options.getFocused();
+		const choices = this.searchIndex
+			.searchChapters(query)
+			.slice(0, 25)
+			.map(({ episode, chapterIndex }) => {
+				const chapter = episode.chapters[chapterIndex];
+				const name = `${chapter.title} — ${this.getShortTitle(episode.title)} (${chapter.start})`;
+				return {
+					name: name.length > 100 ? `${name.slice(0, 99)}…` : name,
+					value: `${episode.id}:${chapterIndex}`,
+				};
+			});
+		await interaction.respond(choices);
+	}
+
+	/**
+	 * Start the episode of the chosen /podcast topic chapter at that chapter
+	 * @param {object} interaction - The command interaction
+	 */
+	async playTopic(interaction) {
+		const value = interaction.options.getString("chapter");
+		// A value typed without picking a suggestion plays the best match
+		let [episodeId, chapterIndex] = value.split(":");
+		if (!/^\d+$/.test(chapterIndex ?? "")) {
+			const match = this.searchIndex.searchChapters(value)[0];
+			if (!match) {
+				return await interaction.reply({
+					content: `❌ Geen hoofdstuk gevonden voor "${value}"`,
+					flags: MessageFlags.Ephemeral,
+				});
 			}
+			episodeId = String(match.episode.id);
+			chapterIndex = match.chapterIndex;
 		}
-		await interaction.respond(choices);
+		await this.playEpisodeById(interaction, episodeId, {
+			chapterIndex: Number.parseInt(chapterIndex, 10),
+		});
 	}
 
 	async playSpecificEpisode(interaction) {
@@ -960,6 +3372,16 @@ export default class DiscordBot {
 				flags: MessageFlags.Ephemeral,
 			});
 		}
+		await this.playEpisodeById(interaction, episodeId);
+	}
+
+	/**
+	 * Play an episode in the voice channel of the user, or the configured one
+	 * @param {object} interaction - The command or button interaction
+	 * @param {string} episodeId - ID of the episode to play
+	 * @param {{chapterIndex?: number, seconds?: number}|null} start - Chapter or second to start at, instead of the beginning
+	 */
+	async playEpisodeById(interaction, episodeId, start = null) {
 		const episodeData = this.episodes.find(
 			(ep) => ep.id && ep.id.toString() === episodeId,
 		);
@@ -969,10 +3391,7 @@ export default class DiscordBot {
 				flags: MessageFlags.Ephemeral,
 			});
 		}
-		const localFile = this.localFiles.find((file) => {
-			const fileId = file.filename.match(/_(\d+)\.mp3$/)?.[1];
-			return fileId === episodeId;
-		});
+		const localFile = this.findLocalFile(episodeId);
 		if (!localFile) {
 			return await interaction.reply({
 				content:
@@ -994,12 +3413,16 @@ export default class DiscordBot {
 			});
 		}
 		await interaction.deferReply();
+		const session = this.sessions.get(targetVoiceChannel.guild.id);
+		const chapter = episodeData.chapters?.[start?.chapterIndex];
 		try {
 			await this.playLocalFile(
+				session,
 				localFile,
 				targetVoiceChannel,
 				interaction,
 				"specific",
+				start?.seconds ?? (chapter ? getChapterStart(chapter) : 0),
 			);
 		} catch (error) {
 			console.error("❌ Error playing specific episode:", error);
@@ -1009,6 +3432,124 @@ export default class DiscordBot {
 		}
 	}
 
+	/**
+	 * Show a page of /podcast search results, with buttons to play each hit
+	 * or to start it at the matching chapter
+	 * @param {object} interaction - The command or page button interaction
+	 * @param {string} query - The search query
+	 * @param {number} page - Zero-based page number
+	 */
+	async showSearchResults(interaction, query, page = 0) {
+		const results = this.searchIndex.search(query);
+		if (results.length === 0) {
+			return await interaction.reply({
+				content: `🔍 Geen afleveringen gevonden voor "${query}"`,
+				flags: MessageFlags.Ephemeral,
+			});
+		}
+		const pageCount = Math.ceil(results.length / SEARCH_PAGE_SIZE);
+		const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+		const start = currentPage * SEARCH_PAGE_SIZE;
+		const hits = results.slice(start, start + SEARCH_PAGE_SIZE);
+
+		const lines = [];
+		const playButtons = [];
+		const chapterButtons = [];
+		for (const [i, { episode, chapterIndex }] of hits.entries()) {
+			const number = start + i + 1;
+			const episodeId = String(episode.id);
+			const available = Boolean(this.findLocalFile(episodeId));
+			const chapter = episode.chapters?.[chapterIndex];
+			lines.push(
+				`**${number}.** ${episode.title}${available ? "" : " *(niet gedownload)*"}`,
+			);
+			if (chapter) {
+				lines.push(`↳ 📖 ${chapter.title} (${chapter.start})`);
+			}
+			playButtons.push(
+				new ButtonBuilder()
+					.setCustomId(`search:play:${episodeId}`)
+					.setLabel(`${number}`)
+					.setEmoji("▶️")
+					.setStyle(ButtonStyle.Primary)
+					.setDisabled(!available),
+			);
+			if (chapter) {
+				chapterButtons.push(
+					new ButtonBuilder()
+						.setCustomId(`search:chapter:${episodeId}:${chapterIndex}`)
+						.setLabel(`${number}`)
+						.setEmoji("📖")
+						.setStyle(ButtonStyle.Secondary)
+						.setDisabled(!available),
+				);
+			}
+		}
+
+		const embed = new EmbedBuilder()
+			.setColor(0x6a5acd)
+			.setTitle(`🔍 Zoekresultaten voor "${query}"`)
+			.setDescription(lines.join("\n"))
+			.setFooter({
+				text: `Pagina ${currentPage + 1}/${pageCount} · ${results.length} resultaten · ▶️ speelt de aflevering, 📖 start bij het hoofdstuk`,
+			});
+		const components = [new ActionRowBuilder().addComponents(playButtons)];
+		if (chapterButtons.length > 0) {
+			components.push(new ActionRowBuilder().addComponents(chapterButtons));
+		}
+		if (pageCount > 1) {
+			components.push(
+				new ActionRowBuilder().addComponents(
+					new ButtonBuilder()
+						.setCustomId(`search:page:${currentPage - 1}:${query}`)
+						.setLabel("Vorige")
+						.setEmoji("⬅️")
+						.setStyle(ButtonStyle.Secondary)
+						.setDisabled(currentPage === 0),
+					new ButtonBuilder()
+						.setCustomId(`search:page:${currentPage + 1}:${query}`)
+						.setLabel("Volgende")
+						.setEmoji("➡️")
+						.setStyle(ButtonStyle.Secondary)
+						.setDisabled(currentPage === pageCount - 1),
+				),
+			);
+		}
+
+		const payload = { embeds: [embed], components };
+		if (interaction.isButton()) {
+			await interaction.update(payload);
+		} else {
+			await interaction.reply({ ...payload, flags: MessageFlags.Ephemeral });
+		}
+	}
+
+	/**
+	 * Handle the play, chapter and page buttons of /podcast search
+	 * @param {object} interaction - The button interaction
+	 */
+	async handleSearchButton(interaction) {
+		const [, action, ...rest] = interaction.customId.split(":");
+		switch (action) {
+			case "play":
+				await this.playEpisodeById(interaction, rest[0]);
+				break;
+			case "chapter":
+				await this.playEpisodeById(interaction, rest[0], {
+					chapterIndex: Number.parseInt(rest[1], 10),
+				});
+				break;
+			case "page":
+				// The query itself can contain colons
+				await this.showSearchResults(
+					interaction,
+					rest.slice(1).join(":"),
+					Number.parseInt(rest[0], 10),
+				);
+				break;
+		}
+	}
+
 	async handleAssistantAsk(interaction) {
 		const question = interaction.options.getString("question");
 		if (!question) {
@@ -1035,35 +3576,260 @@ export default class DiscordBot {
 	 * Moderator-only: Update database and download new episodes
 	 */
 	async handleUpdateEpisodes(interaction) {
-		// Only allow users with MANAGE_GUILD permission
-		if (!interaction.memberPermissions?.has("ManageGuild")) {
-			await interaction.reply({
-				content: "❌ Je hebt geen toestemming om dit commando uit te voeren.",
-				flags: MessageFlags.Ephemeral,
-			});
-			return;
-		}
 		await interaction.reply({
 			content:
 				"🔄 Database wordt bijgewerkt en nieuwe afleveringen worden gedownload. Dit kan enkele minuten duren...",
 			flags: MessageFlags.Ephemeral,
 		});
+
+		const progress = {
+			stage: "scrape",
+			scraped: 0,
+			total: 0,
+			downloading: new Map(),
+			completed: 0,
+			failed: [],
+		};
+		let lastEdit = 0;
+		let pendingEdit = null;
+		const editDeadline = Date.now() + INTERACTION_EDIT_WINDOW_MS;
+		let tokenExpired = false;
+		// Edits are chained so a slow progress edit never overwrites the summary
+		let edits = Promise.resolve();
+		const editReply = (content) => {
+			edits = edits
+				.then(() => interaction.editReply({ content }))
+				.catch((error) => {
+					console.error("❌ Error updating progress message:", error);
+				});
+			return edits;
+		};
+		// After the edit window the result goes by DM, or to the channel if DMs are closed
+		const sendResult = async (content) => {
+			if (Date.now() < editDeadline) {
+				await editReply(content);
+				return;
+			}
+			try {
+				await interaction.user.send({ content });
+			} catch {
+				try {
+					const channel = await this.client.channels.fetch(
+						interaction.channelId,
+					);
+					await channel.send({
+						content: `<@${interaction.user.id}> ${content}`,
+						allowedMentions: { users: [interaction.user.id] },
+					});
+				} catch (error) {
+					console.error("❌ Error sending update summary:", error);
+				}
+			}
+		};
+		// Edits are throttled, the last one always goes through
+		const showProgress = (force = false) => {
+			clearTimeout(pendingEdit);
+			if (tokenExpired) return;
+			if (Date.now() >= editDeadline) {
+				tokenExpired = true;
+				editReply(
+					"⏳ De update loopt nog. Je krijgt de samenvatting via een privébericht zodra ze klaar is.",
+				);
+				return;
+			}
+			const wait = lastEdit + UPDATE_PROGRESS_INTERVAL_MS - Date.now();
+			if (!force && wait > 0) {
+				pendingEdit = setTimeout(() => showProgress(), wait);
+				return;
+			}
+			lastEdit = Date.now();
+			editReply(this.formatUpdateProgress(progress));
+		};
+		const onProgress = (event) => {
+			if (event.type === "scraped") {
+				progress.scraped = event.done;
+				progress.total = event.total;
+				showProgress();
+				return;
+			}
+			progress.stage = "download";
+			if (event.type === "downloading") {
+				progress.downloading.set(event.episode.id, {
+					title: event.episode.title,
+					percent: event.percent,
+				});
+			} else {
+				progress.downloading.delete(event.episode.id);
+				if (event.type === "completed") {
+					progress.completed++;
+				} else {
+					progress.failed.push(event.episode.title);
+				}
+			}
+			showProgress();
+		};
+
 		try {
-			await scrapeEpisodes();
-			await downloadEpisodes();
-			this.loadData();
-			await interaction.followUp({
-				content: "✅ Database en afleveringen zijn bijgewerkt!",
-				flags: MessageFlags.Ephemeral,
-			});
+			const summary = await this.runEpisodeUpdate(onProgress);
+			clearTimeout(pendingEdit);
+			if (!summary) {
+				await sendResult(
+					"⏳ Er loopt al een update, probeer het straks opnieuw.",
+				);
+				return;
+			}
+			const { newEpisodes, downloaded, skipped, failed } = summary;
+
+			const lines = [
+				"✅ Database en afleveringen zijn bijgewerkt!",
+				`🆕 Nieuwe afleveringen: ${newEpisodes.length}`,
+				`📥 Gedownload: ${downloaded.length}`,
+				`⏭️ Overgeslagen (al aanwezig of niet downloadbaar): ${skipped}`,
+				`❌ Mislukt: ${failed.length}`,
+			];
+			for (const { episode } of failed.slice(0, 10)) {
+				lines.push(`• ${episode.title}`);
+			}
+			if (failed.length > 10) {
+				lines.push(`• ... en nog ${failed.length - 10}`);
+			}
+			await sendResult(lines.join("\n"));
 		} catch (error) {
+			clearTimeout(pendingEdit);
 			console.error("❌ Fout bij updaten:", error);
-			await interaction.followUp({
-				content:
-					"❌ Er is een fout opgetreden bij het bijwerken van de database of het downloaden van afleveringen.",
-				flags: MessageFlags.Ephemeral,
+			await sendResult(
+				"❌ Er is een fout opgetreden bij het bijwerken van de database of het downloaden van afleveringen.",
+			);
+		}
+	}
+
+	/**
+	 * Scrape and download new episodes and announce the new ones. Used by
+	 * /podcast update and the update scheduler; only one update runs at a time.
+	 * @param {Function} [onProgress] - Receives the scrape and download progress events
+	 * @returns {Promise<{newEpisodes: object[], downloaded: object[], skipped: number, failed: Array<{episode: object, error: Error}>}|null>} - Summary, or null if an update was already running
+	 */
+	async runEpisodeUpdate(onProgress) {
+		if (this.updateRunning) return null;
+		this.updateRunning = true;
+		try {
+			console.log("🔄 Updating episodes...");
+			const knownIds = new Set(this.episodes.map((ep) => String(ep.id)));
+			await scrapeEpisodes({ onProgress });
+			const newEpisodes = loadEpisodes().filter(
+				(ep) => !knownIds.has(String(ep.id)),
+			);
+			const { downloaded, skipped, failed } = await downloadEpisodes({
+				onProgress,
+			});
+			this.loadData();
+			for (const { episode, error } of failed) {
+				console.error(`❌ Download of "${episode.title}" failed:`, error);
+			}
+			console.log(
+				`✅ Episode update done: ${newEpisodes.length} new, ${downloaded.length} downloaded, ${failed.length} failed`,
+			);
+			// Without a previous episode list every episode would look new
+			if (knownIds.size > 0) {
+				await this.announceNewEpisodes(newEpisodes);
+			}
+			return { newEpisodes, downloaded, skipped, failed };
+		} finally {
+			this.updateRunning = false;
+		}
+	}
+
+	/**
+	 * Post an embed with a "play now" button for every new episode
+	 * @param {object[]} episodes - The new episodes
+	 */
+	async announceNewEpisodes(episodes) {
+		if (!this.announcementChannelId || episodes.length === 0) return;
+		try {
+			const channel = await this.client.channels.fetch(
+				this.announcementChannelId,
+			);
+			if (!channel?.isTextBased()) {
+				console.warn(
+					`Announcement channel ${this.announcementChannelId} not found or not a text channel`,
+				);
+				return;
+			}
+			const oldestFirst = [...episodes].sort(
+				(a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+			);
+			for (const episode of oldestFirst) {
+				await channel.send(this.createAnnouncementMessage(episode));
+			}
+		} catch (error) {
+			console.error("❌ Error announcing new episodes:", error);
+		}
+	}
+
+	/**
+	 * Build the announcement message of a new episode
+	 * @param {object} episode - The episode data
+	 * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+	 */
+	createAnnouncementMessage(episode) {
+		const embed = new EmbedBuilder()
+			.setColor(0x00ae86)
+			.setTitle("🆕 Nieuwe Aflevering")
+			.setDescription(`**${episode.title}**`);
+		if (episode.durationFormatted) {
+			embed.addFields({
+				name: "⏱️ Duur",
+				value: episode.durationFormatted,
+				inline: true,
+			});
+		}
+		if (episode.showNotes) {
+			embed.addFields({
+				name: "📝 Shownotes",
+				value: `[Bekijk de shownotes](${episode.showNotes})`,
+				inline: true,
 			});
 		}
+		if (episode.permalink) {
+			embed.setURL(episode.permalink);
+		}
+		if (episode.createdAt) {
+			embed.setTimestamp(new Date(episode.createdAt));
+		}
+
+		const playButton = new ButtonBuilder()
+			.setCustomId(`announcement:play:${episode.id}`)
+			.setLabel("Nu afspelen")
+			.setEmoji("▶️")
+			.setStyle(ButtonStyle.Primary)
+			// The download can have failed
+			.setDisabled(!this.findLocalFile(String(episode.id)));
+		return {
+			embeds: [embed],
+			components: [new ActionRowBuilder().addComponents(playButton)],
+		};
+	}
+
+	/**
+	 * Build the progress message of /podcast update
+	 * @param {object} progress - Scrape and download progress so far
+	 * @returns {string} - The message content
+	 */
+	formatUpdateProgress(progress) {
+		if (progress.stage === "scrape") {
+			return progress.total > 0
+				? `🔄 Database bijwerken: ${progress.scraped}/${progress.total} afleveringen opgehaald...`
+				: "🔄 Database bijwerken...";
+		}
+		const lines = [
+			`📥 Afleveringen downloaden: ${progress.completed} klaar, ${progress.failed.length} mislukt`,
+		];
+		for (const { title, percent } of progress.downloading.values()) {
+			lines.push(
+				`⏳ ${title} ${percent === null ? "" : `(${percent}%)`}`.trim(),
+			);
+		}
+		return lines.join("\n");
 	}
 
 	async updateEpisodes(interaction) {
@@ -0,0 +1,159 @@
+import { normalizeText } from "./search-index.js";
+
+const DUTCH_MONTHS = [
+	"januari",
+	"februari",
+	"maart",
+	"april",
+	"mei",
+	"juni",
+	"juli",
+	"augustus",
+	"september",
+	"oktober",
+	"november",
+	"december",
+];
+
+// Ranks an episode without a local MP3 about one matching word lower
+const UNAVAILABLE_PENALTY = 1;
+
+/**
+ * Month index (0-11) of a Dutch month name or its abbreviation, e.g. "mrt" or "okt"
+ * @param {string} word - A normalized query word
+ * @returns {number|null}
+ */
+function parseMonth(word) {
+	if (word === "mrt") return 2;
+	if (word.length < 3) return null;
+	const index = DUTCH_MONTHS.findIndex((month) => month.startsWith(word));
+	return index === -1 ? null : index;
+}
+
+/**
+ * Levenshtein distance between two words, stopping early above the maximum
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance that matters
+ * @returns {number} - The distance, or max + 1 if it is larger
+ */
+function editDistance(a, b, max) {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		let rowMin = i;
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + cost,
+			);
+			rowMin = Math.min(rowMin, current[j]);
+		}
+		if (rowMin > max) return max + 1;
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * How well a query word matches the words of a title, from 0 (not at all) to 1
+ * @param {string} word - A normalized query word
+ * @param {string[]} titleWords - The normalized words of the title
+ * @returns {number}
+ */
+function scoreWord(word, titleWords) {
+	// One typo is allowed in words of 4 letters or more, two from 8 letters; none in numbers
+	const maxTypos = /^\d+$/.test(word)
+		? 0
+		: word.length >= 8
+			? 2
+			: word.length >= 4
+				? 1
+				: 0;
+	let best = 0;
+	for (const titleWord of titleWords) {
+		if (titleWord === word) return 1;
+		if (titleWord.startsWith(word)) {
+			best = Math.max(best, 0.9);
+		} else if (word.length >= 3 && titleWord.includes(word)) {
+			best = Math.max(best, 0.7);
+		} else if (maxTypos > 0) {
+			// Also compare with the start of longer words, for typos while still typing
+			const distance = Math.min(
+				editDistance(word, titleWord, maxTypos),
+				editDistance(word, titleWord.slice(0, word.length), maxTypos),
+			);
+			if (distance <= maxTypos) {
+				best = Math.max(best, 0.6 - 0.1 * distance);
+			}
+		}
+	}
+	return best;
+}
+
+/**
+ * Rank episodes for autocomplete. Every query word has to match the title,
+ * allowing typos, or the publish date: Dutch month names and years are
+ * compared with createdAt, so "mei 2023" and "2021" work.
+ * @param {object[]} episodes - Episodes from episodes.json
+ * @param {string} query - What the user typed so far
+ * @param {(episode: object) => boolean} isAvailable - Whether the MP3 of an episode is downloaded
+ * @returns {Array<{episode: object, available: boolean}>} - Best matches first, episodes without MP3 ranked lower
+ */
+export function rankEpisodes(episodes, query, isAvailable) {
+	const words = normalizeText(query)
+		.split(/[^a-z0-9]+/)
+		.filter(Boolean);
+	const ranked = [];
+	for (const episode of episodes) {
+		if (!episode.title) continue;
+		const titleWords = normalizeText(episode.title)
+			.split(/[^a-z0-9]+/)
+			.filter(Boolean);
+		const createdAt = episode.createdAt ? new Date(episode.createdAt) : null;
+
+		let score = 0;
+		for (const word of words) {
+			let wordScore = scoreWord(word, titleWords);
+			const month = parseMonth(word);
+			// "mrt" matches "maart" in a title
+			if (
+				month !== null &&
+				titleWords.some(
+					(titleWord) => DUTCH_MONTHS.indexOf(titleWord) === month,
+				)
+			) {
+				wordScore = 1;
+			}
+			if (createdAt && wordScore < 1) {
+				if (
+					(/^(19|20)\d{2}$/.test(word) &&
+						createdAt.getFullYear() === Number(word)) ||
+					(month !== null && createdAt.getMonth() === month)
+				) {
+					wordScore = 1;
+				}
+			}
+			if (wordScore === 0) {
+				score = null;
+				break;
+			}
+			score += wordScore;
+		}
+		if (score === null) continue;
+
+		const available = isAvailable(episode);
+		ranked.push({
+			episode,
+			available,
+			score: score - (available ? 0 : UNAVAILABLE_PENALTY),
+			time: createdAt?.getTime() || 0,
+		});
+	}
+	return ranked
+		.sort((a, b) => b.score - a.score || b.time - a.time)
+		.map(({ episode, available }) => ({ episode, available }));
+}
@@ -1,6 +1,8 @@
 // src/episodes-manager.js
 import axios from "axios";
+import { createHash } from "node:crypto";
 import path from "node:path";
+import { pipeline } from "node:stream/promises";
 import {
 	promises as fs,
 	createWriteStream,
@@ -8,16 +10,128 @@ import {
 	readFileSync,
 } from "node:fs";
 import JSONdb from "simple-json-db";
+import { parseRssFeed } from "./rss-feed.js";
+import { openStore } from "./storage.js";
 
 const EPISODES_JSON = path.join(process.cwd(), "episodes.json");
 const DOWNLOADS_DIR = path.join(process.cwd(), "downloads");
 const SOUNDCLOUD_USER_URL = "https://soundcloud.com/lieven-scheire";
+// Where episodes come from: "soundcloud", "rss" or "both"
+const EPISODE_SOURCE = process.env.EPISODE_SOURCE || "soundcloud";
+const RSS_FEED_URL = process.env.RSS_FEED_URL || null;
+const DOWNLOAD_ATTEMPTS = 5;
+const DOWNLOAD_CONCURRENCY =
+	Number.parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 3;
+// Abort a download that received no data for this long, even after the request timeout passed
+const DOWNLOAD_STALL_TIMEOUT_MS = 30000;
+const USER_AGENT =
+	"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+// --- Utility: Run an async function over items with limited concurrency ---
+async function mapWithConcurrency(items, limit, fn) {
+	const results = new Array(items.length);
+	let nextIndex = 0;
+	async function worker() {
+		while (nextIndex < items.length) {
+			const index = nextIndex++;
+			results[index] = await fn(items[index], index);
+		}
+	}
+	const workers = Array.from(
+		{ length: Math.max(1, Math.min(limit, items.length)) },
+		worker,
+	);
+	await Promise.all(workers);
+	return results;
+}
 
 // --- Scraping Logic ---
-export async function scrapeEpisodes() {
+/**
+ * Update episodes.json from SoundCloud, the podcast RSS feed, or both.
+ * Episodes found in both sources are stored once.
+ * @param {object} options
+ * @param {string} options.source - "soundcloud", "rss" or "both"
+ * @param {string|null} options.rssFeedUrl - URL of the podcast RSS feed
+ * @param {boolean} options.incremental - Only scrape new and changed SoundCloud episodes
+ * @param {number} options.concurrency - Maximum parallel SoundCloud lookups
+ * @param {(event: {type: "scraped", done: number, total: number}) => void} [options.onProgress] - Called after every scraped track or feed item
+ * @returns {Promise<object[]>} - The new or updated episodes
+ */
+export async function scrapeEpisodes({
+	source = EPISODE_SOURCE,
+	rssFeedUrl = RSS_FEED_URL,
+	incremental = true,
+	concurrency = 4,
+	onProgress,
+} = {}) {
+	if (!["soundcloud", "rss", "both"].includes(source)) {
+		throw new Error(
+			`Unknown episode source "${source}", use soundcloud, rss or both`,
+		);
+	}
+	const processed = [];
+	if (source !== "rss") {
+		processed.push(
+			...(await scrapeSoundCloud({ incremental, concurrency, onProgress })),
+		);
+	}
+	if (source !== "soundcloud") {
+		if (!rssFeedUrl) {
+			throw new Error("RSS_FEED_URL is required to scrape the RSS feed");
+		}
+		processed.push(...(await scrapeRssFeed(rssFeedUrl, onProgress)));
+	}
+	return processed;
+}
+
+/**
+ * Scrape episode metadata and stream URLs from SoundCloud into episodes.json.
+ * In incremental mode paging stops at the first page with an already-known,
+ * unchanged episode, and only new or changed tracks are looked up. Tracks
+ * still to be processed are kept in a checkpoint, so an interrupted scrape
+ * continues where it stopped on the next run.
+ * @param {object} options
+ * @param {boolean} options.incremental - Only scrape new and changed episodes
+ * @param {number} options.concurrency - Maximum parallel detail and stream URL lookups
+ * @param {Function} [options.onProgress] - Called after every processed track
+ * @returns {Promise<object[]>} - The processed episodes, newest first
+ */
+async function scrapeSoundCloud({ incremental, concurrency, onProgress }) {
 	const db = new JSONdb(EPISODES_JSON);
+	const checkpoint = openStore("scrape-checkpoint");
 	let clientId = null;
 	const userURL = SOUNDCLOUD_USER_URL;
+	// Episodes first found in the RSS feed keep their own ID and store the SoundCloud ID
+	const knownEpisodes = new Map(
+		(db.get("episodes") || []).map((episode) => [
+			episode.soundcloudId ?? episode.id,
+			episode,
+		]),
+	);
+
+	let downloadedFiles;
+	try {
+		downloadedFiles = new Set(readdirSync(DOWNLOADS_DIR));
+	} catch {
+		downloadedFiles = new Set();
+	}
+	// Stream URLs expire, so episodes that still have to be downloaded from one need a fresh one
+	function needsStreamUrl(episode) {
+		return (
+			!episode.enclosureUrl &&
+			!downloadedFiles.has(createEpisodeFilename(episode))
+		);
+	}
+
+	// Known, not modified on SoundCloud since we last stored it, and not waiting for a download
+	function isUnchanged(track) {
+		const known = knownEpisodes.get(track.id);
+		if (!known?.updated_date || needsStreamUrl(known)) return false;
+		return (
+			!track.last_modified ||
+			new Date(track.last_modified) <= new Date(known.updated_date)
+		);
+	}
 
 	async function extractClientId() {
 		const response = await axios.get(userURL, {
@@ -98,8 +212,13 @@ export async function scrapeEpisodes() {
 				},
 			});
 			const data = response.data;
-			allTracks = allTracks.concat(data.collection || []);
+			const tracks = data.collection || [];
+			allTracks = allTracks.concat(tracks);
 			nextUrl = data.next_href;
+			// Tracks come newest first, so older pages only hold known episodes
+			if (incremental && tracks.some(isUnchanged)) {
+				break;
+			}
 			if (nextUrl) {
 				await new Promise((resolve) => setTimeout(resolve, 1000));
 			}
@@ -157,123 +276,267 @@ export async function scrapeEpisodes() {
 		}
 	}
 
-	function extractChapters(description) {
-		if (!description || typeof description !== "string") return [];
-		const chapterRegex = /\((\d{2}):(\d{2}):(\d{2})\)\s*([^\n]+)/g;
-		const chapters = Array.from(description.matchAll(chapterRegex)).map(
-			([_, hh, mm, ss, title]) => ({
-				start: `${hh}:${mm}:${ss}`,
-				title: title.trim(),
-			}),
+	async function processTrackData(tracks) {
+		const processedStreams = [];
+		let pendingIds = tracks.map((track) => track.id);
+		let done = 0;
+		checkpoint.set("pending", pendingIds);
+		await mapWithConcurrency(tracks, concurrency, async (track) => {
+			const detailedTrack = (await getTrackDetails(track.id)) || track;
+			if (detailedTrack.streamable) {
+				const processedTrack = await processTrack(detailedTrack);
+				await upsertEpisode(db, processedTrack);
+				processedStreams.push(processedTrack);
+			}
+			pendingIds = pendingIds.filter((id) => id !== track.id);
+			checkpoint.set("pending", pendingIds);
+			onProgress?.({ type: "scraped", done: ++done, total: tracks.length });
+		});
+		checkpoint.delete("pending");
+		return processedStreams.sort(
+			(a, b) =>
+				new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
 		);
-		return chapters;
 	}
 
-	function extractShowNotesUrl(description) {
-		if (!description || typeof description !== "string") {
-			return null;
-		}
-		const cleanDescription = description
-			.replace(/<[^>]*>/g, " ")
-			.replace(/\s+/g, " ")
-			.trim();
-		const urlPatterns = [
-			/https?:\/\/[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}[^\s\n<>"]*\b/gi,
-			/(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}(?:\/[\w\-._~:/?#[\]@!$&'()*+,;=%]*)?(?=\s|$)/g,
-		];
-		for (const urlPattern of urlPatterns) {
-			const matches = cleanDescription.match(urlPattern);
-			if (matches && matches.length > 0) {
-				let url = matches[0];
-				url = url.replace(/[.,;!?]+$/, "");
-				if (url.length < 8) {
-					continue;
-				}
-				if (url && !url.startsWith("http")) {
-					url = `https://${url}`;
-				}
-				try {
-					const urlObj = new URL(url);
-					if (urlObj.hostname.includes(".") && urlObj.hostname.length > 3) {
-						return url;
-					}
-				} catch {}
+	async function processTrack(detailedTrack) {
+		const streamUrl = await getStreamUrl(detailedTrack);
+		const showNotesUrl = extractShowNotesUrl(detailedTrack.description);
+		const chapters = extractChapters(detailedTrack.description);
+		const processedTrack = {
+			id: knownEpisodes.get(detailedTrack.id)?.id ?? detailedTrack.id,
+			title: detailedTrack.title,
+			description: detailedTrack.description,
+			duration: detailedTrack.duration,
+			durationFormatted: formatDuration(detailedTrack.duration),
+			createdAt: detailedTrack.created_at,
+			permalink: detailedTrack.permalink_url,
+			streamUrl: streamUrl,
+			showNotes: showNotesUrl,
+			chapters: chapters.length > 0 ? chapters : undefined,
+		};
+		// Merge into an episode that so far only came from the RSS feed
+		if (!knownEpisodes.has(detailedTrack.id)) {
+			const rssOnlyEpisodes = (db.get("episodes") || []).filter(
+				(episode) => isRssEpisodeId(episode.id) && !episode.soundcloudId,
+			);
+			const match = findMatchingEpisode(rssOnlyEpisodes, processedTrack);
+			if (match) {
+				processedTrack.id = match.id;
+				processedTrack.soundcloudId = detailedTrack.id;
 			}
 		}
-		return null;
+		return processedTrack;
 	}
 
-	function formatDuration(milliseconds) {
-		if (!milliseconds) return "Unknown";
-		const seconds = Math.floor(milliseconds / 1000);
-		const minutes = Math.floor(seconds / 60);
-		const hours = Math.floor(minutes / 60);
-		if (hours > 0) {
-			return `${hours}:${String(minutes % 60).padStart(2, "0")}:${String(seconds % 60).padStart(2, "0")}`;
+	await extractClientId();
+	const userInfo = await getUserInfo();
+	const allTracks = await fetchAllTracks(userInfo.id);
+	const tracksToProcess = incremental
+		? allTracks.filter((track) => !isUnchanged(track))
+		: allTracks;
+	// Continue with the tracks an interrupted scrape did not get to, and
+	// refresh the stream URLs of known episodes on pages that were not fetched
+	const listedIds = new Set(tracksToProcess.map((track) => track.id));
+	const missingIds = [...knownEpisodes]
+		.filter(([, episode]) => incremental && needsStreamUrl(episode))
+		.map(([id]) => id);
+	for (const id of [...(checkpoint.get("pending") || []), ...missingIds]) {
+		if (!listedIds.has(id)) {
+			listedIds.add(id);
+			tracksToProcess.push({ id });
 		}
-		return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
 	}
+	return await processTrackData(tracksToProcess);
+}
+
+/**
+ * Add the episodes of the podcast RSS feed to episodes.json. Items that match
+ * an existing episode only add their GUID and enclosure URL to it.
+ * @param {string} feedUrl - URL of the podcast RSS feed
+ * @param {Function} [onProgress] - Called after every feed item
+ * @returns {Promise<object[]>} - The new or updated episodes
+ */
+async function scrapeRssFeed(feedUrl, onProgress) {
+	const db = new JSONdb(EPISODES_JSON);
+	const response = await axios.get(feedUrl, { responseType: "text" });
+	const items = parseRssFeed(response.data);
+	const processed = [];
 
-	async function upsertEpisode(episodeData) {
+	for (const [index, item] of items.entries()) {
+		onProgress?.({ type: "scraped", done: index + 1, total: items.length });
 		const episodes = db.get("episodes") || [];
-		const existingIndex = episodes.findIndex(
-			(episode) => episode.id === episodeData.id,
-		);
-		episodeData.updated_date = new Date().toISOString();
-		if (existingIndex === -1) {
-			episodeData.created_date = new Date().toISOString();
+		if (episodes.some((episode) => episode.rssGuid === item.guid)) {
+			continue;
 		}
-		if (existingIndex !== -1) {
-			episodes[existingIndex] = { ...episodes[existingIndex], ...episodeData };
+		const duration = item.durationSeconds ? item.durationSeconds * 1000 : null;
+		const candidate = {
+			title: item.title,
+			createdAt: item.publishedAt,
+			duration,
+		};
+		const match = findMatchingEpisode(
+			episodes.filter((episode) => !episode.rssGuid),
+			candidate,
+		);
+
+		let episodeData;
+		if (match) {
+			episodeData = {
+				id: match.id,
+				rssGuid: item.guid,
+				enclosureUrl: item.enclosureUrl,
+			};
 		} else {
-			episodes.push(episodeData);
+			const chapters = extractChapters(item.description);
+			episodeData = {
+				...candidate,
+				id: `rss-${createHash("sha1").update(item.guid).digest("hex").slice(0, 12)}`,
+				description: item.description,
+				durationFormatted: formatDuration(duration),
+				permalink: item.link,
+				enclosureUrl: item.enclosureUrl,
+				rssGuid: item.guid,
+				showNotes: extractShowNotesUrl(item.description) ?? item.link,
+				chapters: chapters.length > 0 ? chapters : undefined,
+			};
 		}
-		db.set("episodes", episodes);
-		return episodeData.id;
+		await upsertEpisode(db, episodeData);
+		processed.push(episodeData);
 	}
+	return processed;
+}
 
-	async function processTrackData(tracks) {
-		const processedStreams = [];
-		for (let i = 0; i < tracks.length; i++) {
-			const track = tracks[i];
-			const detailedTrack = (await getTrackDetails(track.id)) || track;
-			let streamUrl = null;
-			if (detailedTrack.streamable) {
-				streamUrl = await getStreamUrl(detailedTrack);
-			} else {
+// --- Utility: Check for an episode that was only found in the RSS feed ---
+function isRssEpisodeId(id) {
+	return typeof id === "string" && id.startsWith("rss-");
+}
+
+// --- Utility: Find the same episode from another source ---
+function findMatchingEpisode(episodes, candidate) {
+	const normalizeTitle = (title) =>
+		(title || "")
+			.toLowerCase()
+			.normalize("NFD")
+			.replace(/\p{Diacritic}/gu, "")
+			.replace(/[^a-z0-9]+/g, " ")
+			.trim();
+	const title = normalizeTitle(candidate.title);
+	const sameTitle = episodes.find(
+		(episode) => normalizeTitle(episode.title) === title,
+	);
+	if (sameTitle) return sameTitle;
+
+	// Titles can differ slightly between sources: fall back to date and duration
+	if (!candidate.createdAt || !candidate.duration) return null;
+	return (
+		episodes.find((episode) => {
+			if (!episode.createdAt || !episode.duration) return false;
+			const daysApart =
+				Math.abs(
+					new Date(episode.createdAt).getTime() -
+						new Date(candidate.createdAt).getTime(),
+				) /
+				(24 * 60 * 60 * 1000);
+			const durationDifference =
+				Math.abs(episode.duration - candidate.duration) / episode.duration;
+			return daysApart <= 3 && durationDifference <= 0.02;
+		}) ?? null
+	);
+}
+
+// --- Utility: Extract (hh:mm:ss) chapters from a description ---
+function extractChapters(description) {
+	if (!description || typeof description !== "string") return [];
+	const chapterRegex = /\((\d{2}):(\d{2}):(\d{2})\)\s*([^\n]+)/g;
+	const chapters = Array.from(description.matchAll(chapterRegex)).map(
+		([_, hh, mm, ss, title]) => ({
+			start: `${hh}:${mm}:${ss}`,
+			title: title.trim(),
+		}),
+	);
+	return chapters;
+}
+
+// --- Utility: Find the show notes link in a description ---
+function extractShowNotesUrl(description) {
+	if (!description || typeof description !== "string") {
+		return null;
+	}
+	const cleanDescription = description
+		.replace(/<[^>]*>/g, " ")
+		.replace(/\s+/g, " ")
+		.trim();
+	const urlPatterns = [
+		/https?:\/\/[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}[^\s\n<>"]*\b/gi,
+		/(?:www\.)?[a-zA-Z0-9-]+\.[a-zA-Z]{2,}(?:\/[\w\-._~:/?#[\]@!$&'()*+,;=%]*)?(?=\s|$)/g,
+	];
+	for (const urlPattern of urlPatterns) {
+		const matches = cleanDescription.match(urlPattern);
+		if (matches && matches.length > 0) {
+			let url = matches[0];
+			url = url.replace(/[.,;!?]+$/, "");
+			if (url.length < 8) {
 				continue;
 			}
-			const showNotesUrl = extractShowNotesUrl(detailedTrack.description);
-			const chapters = extractChapters(detailedTrack.description);
-			const processedTrack = {
-				id: detailedTrack.id,
-				title: detailedTrack.title,
-				description: detailedTrack.description,
-				duration: detailedTrack.duration,
-				durationFormatted: formatDuration(detailedTrack.duration),
-				createdAt: detailedTrack.created_at,
-				permalink: detailedTrack.permalink_url,
-				streamUrl: streamUrl,
-				showNotes: showNotesUrl,
-				chapters: chapters.length > 0 ? chapters : undefined,
-			};
-			await upsertEpisode(processedTrack);
-			processedStreams.push(processedTrack);
+			if (url && !url.startsWith("http")) {
+				url = `https://${url}`;
+			}
+			try {
+				const urlObj = new URL(url);
+				if (urlObj.hostname.includes(".") && urlObj.hostname.length > 3) {
+					return url;
+				}
+			} catch {}
 		}
-		return processedStreams.sort(
-			(a, b) =>
-				new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime(),
-		);
 	}
+	return null;
+}
 
-	await extractClientId();
-	const userInfo = await getUserInfo();
-	const allTracks = await fetchAllTracks(userInfo.id);
-	await processTrackData(allTracks);
+// --- Utility: Format a duration in milliseconds as h:mm:ss ---
+function formatDuration(milliseconds) {
+	if (!milliseconds) return "Unknown";
+	const seconds = Math.floor(milliseconds / 1000);
+	const minutes = Math.floor(seconds / 60);
+	const hours = Math.floor(minutes / 60);
+	if (hours > 0) {
+		return `${hours}:${String(minutes % 60).padStart(2, "0")}:${String(seconds % 60).padStart(2, "0")}`;
+	}
+	return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// --- Utility: Insert or update an episode in episodes.json ---
+async function upsertEpisode(db, episodeData) {
+	const episodes = db.get("episodes") || [];
+	const existingIndex = episodes.findIndex(
+		(episode) => episode.id === episodeData.id,
+	);
+	episodeData.updated_date = new Date().toISOString();
+	if (existingIndex === -1) {
+		episodeData.created_date = new Date().toISOString();
+	}
+	if (existingIndex !== -1) {
+		episodes[existingIndex] = { ...episodes[existingIndex], ...episodeData };
+	} else {
+		episodes.push(episodeData);
+	}
+	db.set("episodes", episodes);
+	return episodeData.id;
 }
 
 // --- Download Logic ---
-export async function downloadEpisodes() {
+/**
+ * Download every episode that has no local MP3 yet. A failed download is
+ * reported and does not stop the others.
+ * @param {object} options
+ * @param {number} options.concurrency - Maximum parallel downloads
+ * @param {(event: {type: "downloading"|"completed"|"failed", episode: object, percent?: number|null, error?: Error}) => void} [options.onProgress] - Called when a download progresses, completes or fails
+ * @returns {Promise<{downloaded: object[], skipped: number, failed: Array<{episode: object, error: Error}>}>} - Summary of the downloads
+ */
+export async function downloadEpisodes({
+	concurrency = DOWNLOAD_CONCURRENCY,
+	onProgress,
+} = {}) {
 	await ensureDownloadsDir();
 	const db = new JSONdb(EPISODES_JSON);
 	const episodes = db.get("episodes") || [];
@@ -285,17 +548,48 @@ export async function downloadEpisodes() {
 			await fs.access(filePath);
 			continue;
 		} catch {
-			if (!episode.streamUrl) continue;
+			if (!getDownloadUrl(episode)) continue;
 			episodesToDownload.push(episode);
 		}
 	}
-	for (const episode of episodesToDownload) {
-		await downloadAudio(episode.streamUrl, episode);
-	}
+	const downloaded = [];
+	const failed = [];
+	await mapWithConcurrency(episodesToDownload, concurrency, async (episode) => {
+		try {
+			await downloadAudio(getDownloadUrl(episode), episode, (percent) =>
+				onProgress?.({ type: "downloading", episode, percent }),
+			);
+			downloaded.push(episode);
+			onProgress?.({ type: "completed", episode });
+		} catch (error) {
+			failed.push({ episode, error });
+			onProgress?.({ type: "failed", episode, error });
+		}
+	});
+	return {
+		downloaded,
+		skipped: episodes.length - episodesToDownload.length,
+		failed,
+	};
+}
+
+// --- Utility: Get the URL to download an episode from ---
+function getDownloadUrl(episode) {
+	// The RSS enclosure is permanent, SoundCloud stream URLs expire quickly
+	return episode.enclosureUrl || episode.streamUrl || null;
 }
 
 // --- Utility: Download a single audio file ---
-export async function downloadAudio(streamUrl, trackData) {
+/**
+ * Download an episode into the downloads folder. The data is written to a
+ * ".part" file that is only renamed to the MP3 filename once it is complete,
+ * and an interrupted download continues where it stopped on the next attempt.
+ * @param {string} streamUrl - URL of the audio file
+ * @param {object} trackData - The episode the file belongs to
+ * @param {(percent: number|null) => void} [onProgress] - Called when the downloaded percentage changes, with null if the size is unknown
+ * @returns {Promise<string>} - Path of the downloaded file
+ */
+export async function downloadAudio(streamUrl, trackData, onProgress) {
 	await ensureDownloadsDir();
 	const filename = createEpisodeFilename(trackData);
 	const filePath = path.join(DOWNLOADS_DIR, filename);
@@ -303,22 +597,115 @@ export async function downloadAudio(streamUrl, trackData) {
 		await fs.access(filePath);
 		return filePath;
 	} catch {}
+	const partPath = `${filePath}.part`;
+	for (let attempt = 1; ; attempt++) {
+		try {
+			await downloadToFile(streamUrl, partPath, onProgress);
+			await fs.rename(partPath, filePath);
+			return filePath;
+		} catch (error) {
+			if (attempt >= DOWNLOAD_ATTEMPTS || !isRetryableDownloadError(error)) {
+				throw error;
+			}
+			const delay = 1000 * 2 ** (attempt - 1);
+			console.warn(
+				`⚠️ Download of "${trackData.title}" failed (${error.message}), retrying in ${delay / 1000}s...`,
+			);
+			await new Promise((resolve) => setTimeout(resolve, delay));
+		}
+	}
+}
+
+// --- Utility: Download a URL into a file, resuming what is already there ---
+async function downloadToFile(url, partPath, onProgress) {
+	const existingSize = await fs
+		.stat(partPath)
+		.then((stats) => stats.size)
+		.catch(() => 0);
 	const response = await axios({
 		method: "GET",
-		url: streamUrl,
+		url,
 		responseType: "stream",
 		timeout: 60000,
 		headers: {
-			"User-Agent":
-				"Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+			"User-Agent": USER_AGENT,
+			...(existingSize > 0 && { Range: `bytes=${existingSize}-` }),
 		},
+		validateStatus: (status) =>
+			(status >= 200 && status < 300) || status === 416,
 	});
-	const writer = createWriteStream(filePath);
-	response.data.pipe(writer);
-	return new Promise((resolve, reject) => {
-		writer.on("finish", () => resolve(filePath));
-		writer.on("error", reject);
+
+	if (response.status === 416) {
+		response.data.destroy();
+		// The server has nothing after the part file: it is complete if the sizes match
+		const totalSize = Number(
+			response.headers["content-range"]?.match(/\/(\d+)$/)?.[1],
+		);
+		if (totalSize === existingSize) return;
+		await fs.rm(partPath, { force: true });
+		throw new Error("Partial download does not match the file on the server");
+	}
+
+	// Servers that ignore the Range header send the whole file again
+	const resumed = response.status === 206;
+	const offset = resumed ? existingSize : 0;
+	const contentLength = Number(response.headers["content-length"]);
+	const expectedSize = contentLength > 0 ? offset + contentLength : null;
+
+	let received = offset;
+	let lastPercent;
+	response.data.on("data", (chunk) => {
+		received += chunk.length;
+		const percent = expectedSize
+			? Math.floor((received / expectedSize) * 100)
+			: null;
+		if (percent !== lastPercent) {
+			lastPercent = percent;
+			onProgress?.(percent);
+		}
 	});
+
+	let stallTimer = null;
+	const resetStallTimer = () => {
+		clearTimeout(stallTimer);
+		stallTimer = setTimeout(() => {
+			response.data.destroy(
+				new Error(
+					`No data received for ${DOWNLOAD_STALL_TIMEOUT_MS / 1000} seconds`,
+				),
+			);
+		}, DOWNLOAD_STALL_TIMEOUT_MS);
+	};
+	response.data.on("data", resetStallTimer);
+	resetStallTimer();
+	try {
+		await pipeline(
+			response.data,
+			createWriteStream(partPath, { flags: resumed ? "a" : "w" }),
+		);
+	} finally {
+		clearTimeout(stallTimer);
+	}
+
+	const { size } = await fs.stat(partPath);
+	if (expectedSize !== null && size !== expectedSize) {
+		if (size > expectedSize) {
+			await fs.rm(partPath, { force: true });
+		}
+		throw new Error(
+			`Incomplete download: received ${size} of ${expectedSize} bytes`,
+		);
+	}
+}
+
+// --- Utility: Check whether a failed download is worth retrying ---
+function isRetryableDownloadError(error) {
+	const status = error.response?.status;
+	// Client errors like 403 or 404 will not go away, except timeouts and rate limits
+	if (status >= 400 && status < 500) {
+		return status === 408 || status === 429;
+	}
+	return true;
 }
 
 // --- Utility: Create episode filename ---
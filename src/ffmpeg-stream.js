@@ -6,17 +6,33 @@ import ffmpegPath from "ffmpeg-static";
  * Create a PassThrough stream from an audio file at a given timestamp using ffmpeg.
  * @param {string} filePath - Path to the audio file
  * @param {number} seekSeconds - Number of seconds to seek into the file
+ * @param {object} options - Optional audio processing
+ * @param {number} options.speed - Playback speed between 0.5 and 2.0, the pitch is kept
+ * @param {boolean} options.normalize - Normalize loudness so episodes sound equally loud
  * @returns {PassThrough} - Stream of the audio starting at the given timestamp
  */
-export function createFfmpegStream(filePath, seekSeconds) {
+export function createFfmpegStream(filePath, seekSeconds, options = {}) {
 	if (!ffmpegPath || typeof ffmpegPath !== "string") {
 		throw new Error("ffmpeg-static path not found");
 	}
+	const { speed = 1, normalize = false } = options;
+	const filters = [];
+	if (speed !== 1) {
+		// atempo changes the tempo without changing the pitch
+		filters.push(`atempo=${speed}`);
+	}
+	if (normalize) {
+		// Single-pass EBU R128 loudness normalization
+		filters.push("loudnorm=I=-16:TP=-1.5:LRA=11");
+	}
 	const args = [
 		"-ss",
 		String(seekSeconds),
 		"-i",
 		filePath,
+		...(filters.length > 0 ? ["-af", filters.join(",")] : []),
+		// loudnorm upsamples to 192 kHz, which MP3 does not support
+		...(normalize ? ["-ar", "48000"] : []),
 		"-f",
 		"mp3",
 		"-acodec",
@@ -46,3 +62,60 @@ export function createFfmpegStream(filePath, seekSeconds) {
 	});
 	return stream;
 }
+
+// Bitrates keep speech clear while clips stay far below Discord's upload limit
+const CLIP_FORMATS = {
+	mp3: ["-acodec", "libmp3lame", "-b:a", "96k", "-f", "mp3"],
+	opus: ["-acodec", "libopus", "-b:a", "48k", "-f", "ogg"],
+};
+
+/**
+ * Cut a range out of an audio file and encode it as a small MP3 or Ogg Opus file.
+ * @param {string} filePath - Path to the audio file
+ * @param {number} startSeconds - Start of the clip in the file
+ * @param {number} durationSeconds - Length of the clip
+ * @param {object} options - Optional encoding settings
+ * @param {"mp3"|"opus"} options.format - Encoding of the clip
+ * @returns {Promise<Buffer>} - The encoded clip
+ */
+export function createClip(
+	filePath,
+	startSeconds,
+	durationSeconds,
+	options = {},
+) {
+	if (!ffmpegPath || typeof ffmpegPath !== "string") {
+		throw new Error("ffmpeg-static path not found");
+	}
+	const { format = "mp3" } = options;
+	const encoding = CLIP_FORMATS[format];
+	if (!encoding) {
+		throw new Error(`Unsupported clip format: ${format}`);
+	}
+	const args = [
+		"-ss",
+		String(startSeconds),
+		"-t",
+		String(durationSeconds),
+		"-i",
+		filePath,
+		"-vn",
+		...encoding,
+		"-",
+	];
+	return new Promise((resolve, reject) => {
+		const ffmpeg = spawn(ffmpegPath, args, {
+			stdio: ["ignore", "pipe", "ignore"],
+		});
+		const chunks = [];
+		ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+		ffmpeg.on("error", reject);
+		ffmpeg.on("close", (code) => {
+			if (code !== 0) {
+				reject(new Error(`ffmpeg exited with code ${code}`));
+			} else {
+				resolve(Buffer.concat(chunks));
+			}
+		});
+	});
+}
@@ -0,0 +1,446 @@
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+	AudioPlayerStatus,
+	VoiceConnectionDisconnectReason,
+	VoiceConnectionStatus,
+	createAudioPlayer,
+	createAudioResource,
+	entersState,
+	joinVoiceChannel,
+} from "@discordjs/voice";
+import { createFfmpegStream } from "./ffmpeg-stream.js";
+
+// After a pause this long the paused ffmpeg stream is replaced by a fresh one on resume
+const LONG_PAUSE_MS = 5 * 60 * 1000;
+// Time a lost voice connection gets to start reconnecting by itself, and between rejoins
+const RECONNECT_TIMEOUT_MS = 5 * 1000;
+// Time a reconnecting voice connection gets to become ready
+const READY_TIMEOUT_MS = 20 * 1000;
+const MAX_REJOIN_ATTEMPTS = 5;
+// Close code of the voice websocket when the bot is disconnected from the channel
+const KICKED_CLOSE_CODE = 4014;
+
+/**
+ * Playback state of a single guild: its own audio player, voice connection
+ * and currently playing episode, so guilds never take over each other's audio.
+ */
+export class GuildSession {
+	/**
+	 * @param {string} guildId - ID of the guild this session belongs to
+	 */
+	constructor(guildId) {
+		this.guildId = guildId;
+		this.player = createAudioPlayer();
+		this.connection = null;
+		// Last voice channel the bot joined, used to rejoin on resume
+		this.channelId = null;
+		this.currentEpisode = null;
+		this.resource = null;
+		// Position in seconds where the current resource started in the file
+		this.startOffset = 0;
+		// Seconds of the current episode played by earlier streams, for the listening history
+		this.playedSeconds = 0;
+		// Playback speed, applied by ffmpeg when a stream is started
+		this.speed = 1;
+		// Volume percentage and loudness normalization, loaded from the guild settings
+		this.volume = 100;
+		this.normalize = false;
+		this.pausedAt = null;
+		// Play a random episode when the current one ends
+		this.autoplay = true;
+		// Text channel of the last command that started playback
+		this.textChannelId = null;
+		// "Now playing" control panel message and its refresh timer
+		this.panelMessage = null;
+		this.panelTimer = null;
+		this.panelBusy = false;
+		// Last seen chapter, to notice chapter changes
+		this.chapter = null;
+		// Whether the end of the current episode is already in the listening history
+		this.endLogged = false;
+		// Running vote-to-skip and vote-to-stop of the current episode, by action
+		this.votes = new Map();
+		// Paused because nobody was left in the voice channel, resumed when someone joins
+		this.pausedForEmpty = false;
+		// Leaves the voice channel when it stays empty
+		this.emptyTimer = null;
+		// Whether a lost voice connection is being restored
+		this.reconnecting = false;
+		// Called when the bot is disconnected from its voice channel on purpose
+		this.onKicked = null;
+	}
+
+	/**
+	 * Current position in the episode in seconds
+	 * @returns {number}
+	 */
+	get position() {
+		if (!this.resource) return this.startOffset;
+		// The resource plays faster or slower than the file at non-1x speeds
+		return (
+			this.startOffset +
+			(this.resource.playbackDuration / 1000) * this.resource.metadata.speed
+		);
+	}
+
+	/**
+	 * Seconds of the current episode actually played, not counting seeks and at 1x speed
+	 * @returns {number}
+	 */
+	get listenedSeconds() {
+		if (!this.resource) return this.playedSeconds;
+		return (
+			this.playedSeconds +
+			(this.resource.playbackDuration / 1000) * this.resource.metadata.speed
+		);
+	}
+
+	get isPaused() {
+		return this.pausedAt !== null;
+	}
+
+	/**
+	 * Join a voice channel if this session is not connected yet
+	 * @param {object} voiceChannel - The voice channel to join
+	 */
+	connect(voiceChannel) {
+		if (!voiceChannel || this.connection) return;
+		const connection = joinVoiceChannel({
+			channelId: voiceChannel.id,
+			guildId: voiceChannel.guild.id,
+			adapterCreator: voiceChannel.guild.voiceAdapterCreator,
+		});
+		this.connection = connection;
+		this.channelId = voiceChannel.id;
+
+		connection.on(VoiceConnectionStatus.Ready, () => {
+			console.log(`✅ Voice connection is ready in guild ${this.guildId}`);
+			if (this.connection === connection) {
+				// Changes when the bot is moved to another channel
+				this.channelId = connection.joinConfig.channelId;
+			}
+		});
+
+		connection.on(
+			VoiceConnectionStatus.Disconnected,
+			async (_oldState, newState) => {
+				if (this.connection !== connection || this.reconnecting) return;
+				console.log(
+					`⚠️ Voice connection lost in guild ${this.guildId}, reconnecting...`,
+				);
+				const kicked =
+					newState.reason === VoiceConnectionDisconnectReason.WebSocketClose &&
+					newState.closeCode === KICKED_CLOSE_CODE;
+				this.reconnecting = true;
+				const restored = await this.reconnect(connection, !kicked);
+				this.reconnecting = false;
+				if (this.connection !== connection) return;
+				if (!restored) {
+					console.log(
+						`❌ Voice connection could not be restored in guild ${this.guildId}`,
+					);
+					// Keeps the episode and position for /podcast resume
+					this.suspend();
+					if (kicked) {
+						// Don't return to this channel by itself, not even after a restart
+						this.channelId = null;
+						this.onKicked?.();
+					}
+					return;
+				}
+				console.log(`🔁 Voice connection restored in guild ${this.guildId}`);
+				connection.subscribe(this.player);
+				if (this.currentEpisode && !this.isPaused) {
+					// The stream stalled while nobody was subscribed, continue where it was
+					this.playFrom(this.currentEpisode, Math.floor(this.position));
+				}
+			},
+		);
+
+		connection.on(VoiceConnectionStatus.Destroyed, () => {
+			if (this.connection === connection) {
+				this.connection = null;
+			}
+		});
+	}
+
+	/**
+	 * Wait for a lost voice connection to come back, rejoining the channel if
+	 * it does not recover by itself
+	 * @param {import("@discordjs/voice").VoiceConnection} connection - The lost connection
+	 * @param {boolean} rejoin - Whether to rejoin, false when the bot was disconnected on purpose
+	 * @returns {Promise<boolean>} - Whether the connection is ready again
+	 */
+	async reconnect(connection, rejoin = true) {
+		try {
+			// Channel moves and short network hiccups recover by themselves
+			await Promise.race([
+				entersState(
+					connection,
+					VoiceConnectionStatus.Signalling,
+					RECONNECT_TIMEOUT_MS,
+				),
+				entersState(
+					connection,
+					VoiceConnectionStatus.Connecting,
+					RECONNECT_TIMEOUT_MS,
+				),
+			]);
+			await entersState(
+				connection,
+				VoiceConnectionStatus.Ready,
+				READY_TIMEOUT_MS,
+			);
+			return true;
+		} catch {
+			// Not back by itself
+		}
+		while (
+			rejoin &&
+			this.connection === connection &&
+			connection.rejoinAttempts < MAX_REJOIN_ATTEMPTS
+		) {
+			await sleep((connection.rejoinAttempts + 1) * RECONNECT_TIMEOUT_MS);
+			if (this.connection !== connection) return false;
+			if (connection.state.status === VoiceConnectionStatus.Ready) return true;
+			console.log(
+				`🔄 Rejoining voice channel in guild ${this.guildId} (attempt ${connection.rejoinAttempts + 1}/${MAX_REJOIN_ATTEMPTS})`,
+			);
+			connection.rejoin();
+			try {
+				await entersState(
+					connection,
+					VoiceConnectionStatus.Ready,
+					READY_TIMEOUT_MS,
+				);
+				return true;
+			} catch {
+				// Try again
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Destroy the voice connection of this session, if any
+	 */
+	disconnect() {
+		if (this.connection) {
+			const connection = this.connection;
+			this.connection = null;
+			if (connection.state.status !== VoiceConnectionStatus.Destroyed) {
+				connection.destroy();
+			}
+		}
+	}
+
+	/**
+	 * Play a local file from the given position, replacing whatever is playing
+	 * @param {object} fileData - The file data object
+	 * @param {number} seconds - Position in the file to start from
+	 */
+	playFrom(fileData, seconds = 0) {
+		this.playedSeconds =
+			fileData === this.currentEpisode ? this.listenedSeconds : 0;
+		const resource = createAudioResource(
+			createFfmpegStream(fileData.path, seconds, {
+				speed: this.speed,
+				normalize: this.normalize,
+			}),
+			{ metadata: { speed: this.speed }, inlineVolume: true },
+		);
+		resource.volume.setVolume(this.volume / 100);
+		this.resource = resource;
+		this.startOffset = seconds;
+		this.pausedAt = null;
+		this.pausedForEmpty = false;
+		this.currentEpisode = fileData;
+		this.autoplay = true;
+		this.player.play(resource);
+		this.connection?.subscribe(this.player);
+	}
+
+	/**
+	 * Jump to a position in the current episode. While paused or disconnected
+	 * only the position is moved, like restartStream(), so it stays paused.
+	 * @param {number} seconds - Position in the episode to jump to
+	 */
+	seek(seconds) {
+		if (!this.currentEpisode) return;
+		if (this.isPaused || !this.connection) {
+			this.playedSeconds = this.listenedSeconds;
+			this.startOffset = seconds;
+			this.resource = null;
+			return;
+		}
+		this.playFrom(this.currentEpisode, seconds);
+	}
+
+	/**
+	 * Restart the stream at the current position so changed settings apply.
+	 * While paused or disconnected only the position is kept and the stream
+	 * is dropped, resume() starts a new one.
+	 */
+	restartStream() {
+		if (!this.currentEpisode) return;
+		const position = Math.floor(this.position);
+		if (this.isPaused || !this.connection) {
+			this.startOffset = position;
+			this.playedSeconds = this.listenedSeconds;
+			this.resource = null;
+			return;
+		}
+		this.playFrom(this.currentEpisode, position);
+	}
+
+	/**
+	 * Change the playback speed, restarting the stream at the current position
+	 * @param {number} speed - Playback speed between 0.5 and 2.0
+	 */
+	setSpeed(speed) {
+		this.speed = speed;
+		this.restartStream();
+	}
+
+	/**
+	 * Change the volume of the playing stream and the streams after it
+	 * @param {number} volume - Volume percentage between 0 and 200
+	 */
+	setVolume(volume) {
+		this.volume = volume;
+		this.resource?.volume?.setVolume(volume / 100);
+	}
+
+	/**
+	 * Turn loudness normalization on or off, restarting the stream at the current position
+	 * @param {boolean} normalize - Whether to normalize loudness
+	 */
+	setNormalize(normalize) {
+		if (this.normalize === normalize) return;
+		this.normalize = normalize;
+		this.restartStream();
+	}
+
+	/**
+	 * Pause playback, keeping the current position
+	 * @returns {boolean} - False if nothing was playing
+	 */
+	pause() {
+		if (this.isPaused || !this.currentEpisode) return false;
+		if (!this.player.pause()) return false;
+		this.pausedAt = Date.now();
+		return true;
+	}
+
+	/**
+	 * Resume playback at the paused position. The paused stream is reused when
+	 * possible, otherwise the episode is restarted at the same second.
+	 * @param {object|null} voiceChannel - Voice channel to rejoin if the connection was lost
+	 * @returns {boolean} - False if there is nothing paused to resume
+	 */
+	resume(voiceChannel = null) {
+		if (!this.currentEpisode || !this.isPaused) return false;
+		this.pausedForEmpty = false;
+		const wasConnected = Boolean(this.connection);
+		this.connect(voiceChannel);
+		if (!this.connection) return false;
+
+		// A dropped stream has settings that changed while paused
+		const canUnpause =
+			wasConnected &&
+			this.resource !== null &&
+			this.player.state.status === AudioPlayerStatus.Paused &&
+			Date.now() - this.pausedAt < LONG_PAUSE_MS;
+		if (canUnpause) {
+			this.pausedAt = null;
+			return this.player.unpause();
+		}
+
+		this.playFrom(this.currentEpisode, Math.floor(this.position));
+		return true;
+	}
+
+	/**
+	 * Stop streaming and leave the voice channel, keeping the episode and
+	 * position so resume() can continue there
+	 */
+	suspend() {
+		this.startOffset = Math.floor(this.position);
+		this.playedSeconds = this.listenedSeconds;
+		this.resource = null;
+		this.pausedAt ??= Date.now();
+		// Ending the stream should not start the next episode
+		this.autoplay = false;
+		this.player.stop(true);
+		this.disconnect();
+	}
+
+	/**
+	 * End the current episode so the idle handler moves on to the next one
+	 */
+	skip() {
+		this.autoplay = true;
+		this.pausedAt = null;
+		this.player.stop(true);
+	}
+
+	/**
+	 * Stop playback without triggering autoplay and forget the current episode
+	 */
+	stop() {
+		this.autoplay = false;
+		this.player.stop(true);
+		this.currentEpisode = null;
+		this.resource = null;
+		this.startOffset = 0;
+		this.playedSeconds = 0;
+		this.pausedAt = null;
+		this.pausedForEmpty = false;
+		clearTimeout(this.emptyTimer);
+		this.emptyTimer = null;
+	}
+}
+
+/**
+ * Keeps one GuildSession per guild ID and creates them on first use.
+ */
+export class SessionManager {
+	/**
+	 * @param {(session: GuildSession) => void} onCreate - Called once for every new session, e.g. to attach player event handlers
+	 */
+	constructor(onCreate) {
+		this.sessions = new Map();
+		this.onCreate = onCreate;
+	}
+
+	/**
+	 * Get the session for a guild, creating it if it does not exist yet
+	 * @param {string} guildId - The guild ID
+	 * @returns {GuildSession}
+	 */
+	get(guildId) {
+		let session = this.sessions.get(guildId);
+		if (!session) {
+			session = new GuildSession(guildId);
+			this.sessions.set(guildId, session);
+			this.onCreate?.(session);
+		}
+		return session;
+	}
+
+	/**
+	 * Get the session for a guild without creating one
+	 * @param {string} guildId - The guild ID
+	 * @returns {GuildSession|null}
+	 */
+	find(guildId) {
+		return this.sessions.get(guildId) ?? null;
+	}
+
+	/**
+	 * @returns {IterableIterator<GuildSession>}
+	 */
+	values() {
+		return this.sessions.values();
+	}
+}
@@ -0,0 +1,41 @@
+import { openStore } from "./storage.js";
+
+const DEFAULT_SETTINGS = {
+	// Percentage, 100 is the original loudness
+	volume: 100,
+	// Even out loudness differences between episodes with ffmpeg's loudnorm filter
+	normalize: false,
+	// Role for the "dj" entry of permission rules
+	djRoleId: null,
+	// Permission rule per command key, see permission-policy.js
+	permissions: {},
+};
+
+/**
+ * Per-guild playback preferences, saved to disk.
+ */
+export class GuildSettings {
+	constructor(db = openStore("guild-settings")) {
+		this.db = db;
+	}
+
+	/**
+	 * @param {string} guildId - The guild ID
+	 * @returns {{volume: number, normalize: boolean, djRoleId: string|null, permissions: Record<string, string[]>}} - The settings, with defaults filled in
+	 */
+	get(guildId) {
+		return { ...DEFAULT_SETTINGS, ...this.db.get(guildId) };
+	}
+
+	/**
+	 * Change some settings of a guild
+	 * @param {string} guildId - The guild ID
+	 * @param {object} changes - The settings to change
+	 * @returns {{volume: number, normalize: boolean, djRoleId: string|null, permissions: Record<string, string[]>}} - The updated settings
+	 */
+	update(guildId, changes) {
+		const settings = { ...this.get(guildId), ...changes };
+		this.db.set(guildId, settings);
+		return settings;
+	}
+}
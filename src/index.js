@@ -1,18 +1,58 @@
 import DiscordBot from "./discord-bot.js";
+import { parseCategoryWeights } from "./shuffle-bag.js";
+import { parseDailyTime } from "./update-scheduler.js";
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const GUILD_ID = process.env.GUILD_ID;
 const VOICE_CHANNEL_ID = process.env.VOICE_CHANNEL_ID ?? null;
+const NOW_PLAYING_CHANNEL_ID = process.env.NOW_PLAYING_CHANNEL_ID || null;
+const CHAPTER_ANNOUNCEMENTS = process.env.CHAPTER_ANNOUNCEMENTS === "true";
+const ANNOUNCEMENT_CHANNEL_ID = process.env.ANNOUNCEMENT_CHANNEL_ID || null;
+const UPDATE_INTERVAL_MINUTES =
+	Number.parseInt(process.env.UPDATE_INTERVAL_MINUTES, 10) || null;
+const UPDATE_TIME = process.env.UPDATE_TIME || null;
+const SHUFFLE_AVOID_DAYS = Number.parseInt(
+	process.env.SHUFFLE_AVOID_DAYS ?? "14",
+	10,
+);
+const SHUFFLE_WEIGHTS = parseCategoryWeights(process.env.SHUFFLE_WEIGHTS);
+const EMPTY_CHANNEL_TIMEOUT_MINUTES = Number.parseInt(
+	process.env.EMPTY_CHANNEL_TIMEOUT_MINUTES ?? "5",
+	10,
+);
+const VOTE_THRESHOLD = Number.parseFloat(process.env.VOTE_THRESHOLD || "0.5");
 
 if (!TOKEN) {
 	console.error("❌ DISCORD_TOKEN is required in .env file");
 	process.exit(1);
 }
 
+if (UPDATE_TIME && !parseDailyTime(UPDATE_TIME)) {
+	console.error("❌ UPDATE_TIME must be a time in HH:MM format, e.g. 06:30");
+	process.exit(1);
+}
+
+if (Number.isNaN(VOTE_THRESHOLD) || VOTE_THRESHOLD < 0 || VOTE_THRESHOLD >= 1) {
+	console.error("❌ VOTE_THRESHOLD must be a number from 0 up to 1, e.g. 0.5");
+	process.exit(1);
+}
+
 console.log("🎵 Starting Nerdland Discord Podcast Player...");
 
 // Create and start the Discord bot
-const bot = new DiscordBot(TOKEN, GUILD_ID, VOICE_CHANNEL_ID);
+const bot = new DiscordBot(TOKEN, GUILD_ID, VOICE_CHANNEL_ID, {
+	nowPlayingChannelId: NOW_PLAYING_CHANNEL_ID,
+	chapterAnnouncements: CHAPTER_ANNOUNCEMENTS,
+	announcementChannelId: ANNOUNCEMENT_CHANNEL_ID,
+	updateIntervalMinutes: UPDATE_INTERVAL_MINUTES,
+	updateTime: UPDATE_TIME,
+	shuffleAvoidDays: Number.isNaN(SHUFFLE_AVOID_DAYS) ? 14 : SHUFFLE_AVOID_DAYS,
+	shuffleWeights: SHUFFLE_WEIGHTS,
+	voteThreshold: VOTE_THRESHOLD,
+	emptyChannelTimeoutMinutes: Number.isNaN(EMPTY_CHANNEL_TIMEOUT_MINUTES)
+		? 5
+		: EMPTY_CHANNEL_TIMEOUT_MINUTES,
+});
 bot.start().catch((error) => {
 	console.error("❌ Failed to start bot:", error);
 	process.exit(1);
@@ -0,0 +1,98 @@
+import { openStore } from "./storage.js";
+
+// Oldest events are dropped beyond this, to keep the JSON file small
+const MAX_EVENTS = 20000;
+
+/**
+ * Log of playback events, saved to disk. Events look like
+ * `{ type, episodeId, guildId, trigger, requestedBy, position, listened, at }`
+ * where type is "start", "stop", "skip" or "complete", trigger is "command",
+ * "autoplay", "auto-start" or "vote", position is the second in the episode
+ * and listened the seconds of the episode actually played so far.
+ */
+export class ListeningHistory {
+	constructor(db = openStore("history")) {
+		this.db = db;
+	}
+
+	/**
+	 * @param {string|null} guildId - Only events of this guild, or all when null
+	 * @returns {object[]} - The events, oldest first
+	 */
+	events(guildId = null) {
+		const events = this.db.get("events") || [];
+		return guildId
+			? events.filter((event) => event.guildId === guildId)
+			: events;
+	}
+
+	/**
+	 * Add an event to the log
+	 * @param {object} event - The event, without its time
+	 */
+	log(event) {
+		const events = this.events();
+		events.push({ ...event, at: new Date().toISOString() });
+		this.db.set("events", events.slice(-MAX_EVENTS));
+	}
+
+	/**
+	 * Summarize the log of a guild. Listening time is the time actually
+	 * played between the start of a play and its end, so seeks don't count.
+	 * @param {string} guildId - The guild ID
+	 * @returns {{plays: number, totalSeconds: number, episodes: Array<{episodeId: string, plays: number}>, requesters: Array<{userId: string, plays: number}>, months: Array<{month: string, plays: number, seconds: number}>}} - Episodes and requesters sorted by plays, months newest first
+	 */
+	stats(guildId) {
+		const episodes = new Map();
+		const requesters = new Map();
+		const months = new Map();
+		let plays = 0;
+		let totalSeconds = 0;
+		let current = null;
+
+		const getMonth = (event) => {
+			const key = event.at.slice(0, 7);
+			let month = months.get(key);
+			if (!month) {
+				month = { month: key, plays: 0, seconds: 0 };
+				months.set(key, month);
+			}
+			return month;
+		};
+
+		for (const event of this.events(guildId)) {
+			if (event.type === "start") {
+				plays++;
+				episodes.set(event.episodeId, (episodes.get(event.episodeId) ?? 0) + 1);
+				if (event.requestedBy) {
+					requesters.set(
+						event.requestedBy,
+						(requesters.get(event.requestedBy) ?? 0) + 1,
+					);
+				}
+				getMonth(event).plays++;
+				current = event;
+			} else if (current && event.episodeId === current.episodeId) {
+				const seconds = Math.max(0, event.listened - current.listened);
+				totalSeconds += seconds;
+				getMonth(current).seconds += seconds;
+				current = null;
+			}
+		}
+
+		const byPlays = (a, b) => b.plays - a.plays;
+		return {
+			plays,
+			totalSeconds,
+			episodes: [...episodes]
+				.map(([episodeId, count]) => ({ episodeId, plays: count }))
+				.sort(byPlays),
+			requesters: [...requesters]
+				.map(([userId, count]) => ({ userId, plays: count }))
+				.sort(byPlays),
+			months: [...months.values()].sort((a, b) =>
+				b.month.localeCompare(a.month),
+			),
+		};
+	}
+}
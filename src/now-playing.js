@@ -0,0 +1,103 @@
+import {
+	ActionRowBuilder,
+	ButtonBuilder,
+	ButtonStyle,
+	EmbedBuilder,
+} from "discord.js";
+import { getChapterIndexAt } from "./chapters.js";
+import { formatTimestamp } from "./timestamp.js";
+
+/**
+ * Render a text progress bar like `▬▬▬🔘▬▬▬▬▬`
+ * @param {number} position - Current position in seconds
+ * @param {number} duration - Total duration in seconds
+ * @param {number} size - Number of characters in the bar
+ * @returns {string} - The progress bar
+ */
+export function createProgressBar(position, duration, size = 20) {
+	if (!duration) return "🔘".padEnd(size, "▬");
+	const progress = Math.min(Math.max(position / duration, 0), 1);
+	const index = Math.min(Math.floor(progress * size), size - 1);
+	return `${"▬".repeat(index)}🔘${"▬".repeat(size - index - 1)}`;
+}
+
+/**
+ * Build the contents of the "now playing" control panel message
+ * @param {object} options
+ * @param {object} options.fileData - The file data object of the playing episode
+ * @param {object|undefined} options.episodeData - Episode metadata from episodes.json
+ * @param {number} options.position - Current position in seconds
+ * @param {Array<object>} options.chapters - Chapters of the episode
+ * @param {boolean} options.paused - Whether playback is paused
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}} - Message payload
+ */
+export function createNowPlayingMessage({
+	fileData,
+	episodeData,
+	position,
+	chapters = [],
+	paused,
+}) {
+	const duration = episodeData?.duration ? episodeData.duration / 1000 : 0;
+	const time = duration
+		? `${formatTimestamp(position)} / ${formatTimestamp(duration)}`
+		: formatTimestamp(position);
+
+	const embed = new EmbedBuilder()
+		.setColor(paused ? 0xffc107 : 0x00ae86)
+		.setTitle(paused ? "⏸️ Gepauzeerd" : "🎵 Nu Aan Het Spelen")
+		.setDescription(
+			`**${fileData.title}**\n\n${createProgressBar(position, duration)}\n${time}`,
+		);
+
+	const chapterIndex = getChapterIndexAt(chapters, position);
+	if (chapterIndex >= 0) {
+		embed.addFields({
+			name: `📖 Hoofdstuk ${chapterIndex + 1}/${chapters.length}`,
+			value: chapters[chapterIndex].title,
+		});
+	}
+	if (episodeData?.permalink) {
+		embed.setURL(episodeData.permalink);
+	}
+
+	const playbackRow = new ActionRowBuilder().addComponents(
+		new ButtonBuilder()
+			.setCustomId("now_playing:toggle_pause")
+			.setEmoji(paused ? "▶️" : "⏸️")
+			.setLabel(paused ? "Verder" : "Pauze")
+			.setStyle(ButtonStyle.Primary),
+		new ButtonBuilder()
+			.setCustomId("now_playing:skip")
+			.setEmoji("⏭️")
+			.setLabel("Volgende")
+			.setStyle(ButtonStyle.Secondary),
+		new ButtonBuilder()
+			.setCustomId("now_playing:stop")
+			.setEmoji("⏹️")
+			.setLabel("Stop")
+			.setStyle(ButtonStyle.Danger),
+	);
+	const seekRow = new ActionRowBuilder().addComponents(
+		new ButtonBuilder()
+			.setCustomId("now_playing:prev_chapter")
+			.setEmoji("⏮️")
+			.setLabel("Hoofdstuk")
+			.setStyle(ButtonStyle.Secondary),
+		new ButtonBuilder()
+			.setCustomId("now_playing:back")
+			.setLabel("-30s")
+			.setStyle(ButtonStyle.Secondary),
+		new ButtonBuilder()
+			.setCustomId("now_playing:forward")
+			.setLabel("+30s")
+			.setStyle(ButtonStyle.Secondary),
+		new ButtonBuilder()
+			.setCustomId("now_playing:next_chapter")
+			.setEmoji("⏭️")
+			.setLabel("Hoofdstuk")
+			.setStyle(ButtonStyle.Secondary),
+	);
+
+	return { embeds: [embed], components: [playbackRow, seekRow] };
+}
@@ -0,0 +1,85 @@
+/**
+ * Who may use which /podcast command. A rule is a list of entries and a
+ * member needs to match one of them: "everyone", "dj" for the guild's DJ
+ * role, "role:<roleId>" or "permission:<PermissionFlag>". Rules are keyed by
+ * subcommand, e.g. "stop" or "queue add"; a rule for a group such as "queue"
+ * applies to all its subcommands.
+ */
+
+// Rules of commands that are not open to everyone until a guild changes them
+const DEFAULT_RULES = {
+	update: ["permission:ManageGuild"],
+	// Fixed, the permissions commands themselves cannot be changed
+	permissions: ["permission:ManageGuild"],
+};
+
+// Permissions that can be used in a rule, with their name in the Discord client
+export const PERMISSION_LABELS = {
+	ManageGuild: "Server beheren",
+	ManageChannels: "Kanalen beheren",
+	ManageMessages: "Berichten beheren",
+	MuteMembers: "Leden dempen",
+	MoveMembers: "Leden verplaatsen",
+};
+
+/**
+ * @param {string|null} group - The subcommand group, if any
+ * @param {string} subcommand - The subcommand
+ * @returns {string} - The key of the command in the policy, e.g. "queue add"
+ */
+export function getCommandKey(group, subcommand) {
+	return group ? `${group} ${subcommand}` : subcommand;
+}
+
+/**
+ * Rule of a command: the guild's rule for the command itself, else for its
+ * group, else the default
+ * @param {Record<string, string[]>} rules - The rules set by the guild
+ * @param {string} commandKey - The command key
+ * @returns {string[]}
+ */
+export function getRule(rules, commandKey) {
+	const group = commandKey.split(" ")[0];
+	return (
+		rules[commandKey] ??
+		rules[group] ??
+		DEFAULT_RULES[commandKey] ??
+		DEFAULT_RULES[group] ?? ["everyone"]
+	);
+}
+
+/**
+ * Whether a member may use a command with the given rule. Members who can
+ * manage the server may always use everything, so they cannot lock themselves out.
+ * @param {string[]} rule - The rule of the command
+ * @param {object} member
+ * @param {string[]} member.roleIds - IDs of the member's roles
+ * @param {{has: (permission: string) => boolean}|null} member.permissions - The member's permissions
+ * @param {string|null} djRoleId - The guild's DJ role
+ * @returns {boolean}
+ */
+export function isAllowed(rule, { roleIds, permissions }, djRoleId) {
+	if (permissions?.has("ManageGuild")) return true;
+	return rule.some((entry) => {
+		if (entry === "everyone") return true;
+		if (entry === "dj") return Boolean(djRoleId) && roleIds.includes(djRoleId);
+		const [kind, value] = entry.split(":");
+		if (kind === "role") return roleIds.includes(value);
+		if (kind === "permission" && value in PERMISSION_LABELS) {
+			return Boolean(permissions?.has(value));
+		}
+		return false;
+	});
+}
+
+/**
+ * @param {string} entry - An entry of a rule
+ * @returns {string} - The entry in Dutch, with roles as mentions
+ */
+export function describeEntry(entry) {
+	if (entry === "everyone") return "iedereen";
+	if (entry === "dj") return "de DJ-rol";
+	const [kind, value] = entry.split(":");
+	if (kind === "role") return `<@&${value}>`;
+	return `permissie "${PERMISSION_LABELS[value] ?? value}"`;
+}
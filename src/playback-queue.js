@@ -0,0 +1,86 @@
+import { openStore } from "./storage.js";
+
+/**
+ * Per-guild queue of episodes to play next, saved to disk so it survives a restart.
+ * Items look like `{ episodeId, requestedBy }`.
+ */
+export class PlaybackQueue {
+	constructor(db = openStore("queue")) {
+		this.db = db;
+	}
+
+	/**
+	 * @param {string} guildId - The guild ID
+	 * @returns {Array<{episodeId: string, requestedBy: string|null}>} - The queued items, next first
+	 */
+	list(guildId) {
+		return this.db.get(guildId) || [];
+	}
+
+	save(guildId, items) {
+		if (items.length > 0) {
+			this.db.set(guildId, items);
+		} else {
+			this.db.delete(guildId);
+		}
+	}
+
+	/**
+	 * Add an item to the end of the queue
+	 * @returns {number} - The new length of the queue
+	 */
+	add(guildId, item) {
+		const items = this.list(guildId);
+		items.push(item);
+		this.save(guildId, items);
+		return items.length;
+	}
+
+	/**
+	 * Remove the item at a zero-based index
+	 * @returns {object|null} - The removed item, or null if the index is out of range
+	 */
+	remove(guildId, index) {
+		const items = this.list(guildId);
+		if (index < 0 || index >= items.length) return null;
+		const [removed] = items.splice(index, 1);
+		this.save(guildId, items);
+		return removed;
+	}
+
+	/**
+	 * Move an item from one zero-based index to another
+	 * @returns {boolean} - False if either index is out of range
+	 */
+	move(guildId, from, to) {
+		const items = this.list(guildId);
+		if (from < 0 || from >= items.length || to < 0 || to >= items.length) {
+			return false;
+		}
+		const [item] = items.splice(from, 1);
+		items.splice(to, 0, item);
+		this.save(guildId, items);
+		return true;
+	}
+
+	/**
+	 * Remove all items from the queue
+	 * @returns {number} - The number of removed items
+	 */
+	clear(guildId) {
+		const count = this.list(guildId).length;
+		this.save(guildId, []);
+		return count;
+	}
+
+	/**
+	 * Take the next item off the queue
+	 * @returns {object|null} - The next item, or null if the queue is empty
+	 */
+	shift(guildId) {
+		const items = this.list(guildId);
+		const next = items.shift() ?? null;
+		this.save(guildId, items);
+		return next;
+	}
+}
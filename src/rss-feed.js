@@ -0,0 +1,98 @@
+import { parseTimestamp } from "./timestamp.js";
+
+const XML_ENTITIES = {
+	amp: "&",
+	lt: "<",
+	gt: ">",
+	quot: '"',
+	apos: "'",
+	nbsp: " ",
+};
+
+/**
+ * Decode XML entities and unwrap CDATA sections
+ * @param {string} text - Raw XML text content
+ * @returns {string} - The decoded text
+ */
+function decodeXmlText(text) {
+	return text
+		.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+		.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+			if (code.startsWith("#x") || code.startsWith("#X")) {
+				return String.fromCodePoint(Number.parseInt(code.slice(2), 16));
+			}
+			if (code.startsWith("#")) {
+				return String.fromCodePoint(Number.parseInt(code.slice(1), 10));
+			}
+			return XML_ENTITIES[code.toLowerCase()] ?? entity;
+		})
+		.trim();
+}
+
+/**
+ * Turn an HTML description into plain text, one paragraph or line break per line
+ * @param {string} html - The HTML description
+ * @returns {string} - The plain text description
+ */
+function htmlToText(html) {
+	return decodeXmlText(
+		html
+			.replace(/<br\s*\/?>/gi, "\n")
+			.replace(/<\/(p|div|li|h\d)>/gi, "\n")
+			.replace(/<[^>]*>/g, ""),
+	)
+		.replace(/[ \t]+/g, " ")
+		.replace(/\n\s*\n+/g, "\n")
+		.trim();
+}
+
+function getTagText(xml, tagName) {
+	const escaped = tagName.replace(":", "\\:");
+	const match = xml.match(
+		new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`, "i"),
+	);
+	return match ? decodeXmlText(match[1]) : null;
+}
+
+function getTagAttribute(xml, tagName, attribute) {
+	const escaped = tagName.replace(":", "\\:");
+	const tag = xml.match(new RegExp(`<${escaped}\\s[^>]*>`, "i"))?.[0];
+	const value = tag?.match(new RegExp(`\\s${attribute}="([^"]*)"`, "i"))?.[1];
+	return value ? decodeXmlText(value) : null;
+}
+
+/**
+ * Parse the items of a podcast RSS feed
+ * @param {string} xml - The RSS feed XML
+ * @returns {Array<{guid: string, title: string, link: string|null, description: string, publishedAt: string|null, enclosureUrl: string|null, durationSeconds: number|null}>} - The feed items
+ */
+export function parseRssFeed(xml) {
+	const items = xml.match(/<item[\s>][\s\S]*?<\/item>/gi) || [];
+	return items
+		.map((item) => {
+			const title = getTagText(item, "title");
+			const enclosureUrl = getTagAttribute(item, "enclosure", "url");
+			const pubDate = getTagText(item, "pubDate");
+			const publishedAt = pubDate ? new Date(pubDate) : null;
+			const description =
+				getTagText(item, "content:encoded") ??
+				getTagText(item, "description") ??
+				getTagText(item, "itunes:summary") ??
+				"";
+			const duration = getTagText(item, "itunes:duration");
+			return {
+				guid: getTagText(item, "guid") ?? enclosureUrl ?? title,
+				title,
+				link: getTagText(item, "link"),
+				description: htmlToText(description),
+				publishedAt:
+					publishedAt && !Number.isNaN(publishedAt.getTime())
+						? publishedAt.toISOString()
+						: null,
+				enclosureUrl,
+				// itunes:duration is either seconds or (hh:)mm:ss
+				durationSeconds: duration ? parseTimestamp(duration) : null,
+			};
+		})
+		.filter((item) => item.title && item.guid);
+}
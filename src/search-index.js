@@ -0,0 +1,226 @@
+// Matches in titles count more than matches in chapter titles or descriptions
+const FIELD_WEIGHTS = {
+	title: 5,
+	chapter: 3,
+	description: 1,
+};
+
+// Common Dutch and English words that say nothing about an episode
+const STOPWORDS = new Set([
+	"de",
+	"het",
+	"een",
+	"en",
+	"van",
+	"in",
+	"op",
+	"te",
+	"met",
+	"voor",
+	"is",
+	"dat",
+	"die",
+	"er",
+	"aan",
+	"om",
+	"over",
+	"ook",
+	"als",
+	"bij",
+	"naar",
+	"zijn",
+	"wat",
+	"nog",
+	"door",
+	"uit",
+	"the",
+	"of",
+	"and",
+	"to",
+]);
+
+/**
+ * Lowercase text and strip accents, so "café" matches "cafe" and "Één" matches "een"
+ * @param {string} text - The text to normalize
+ * @returns {string} - The normalized text
+ */
+export function normalizeText(text) {
+	return (text || "")
+		.normalize("NFD")
+		.replace(/\p{Diacritic}/gu, "")
+		.toLowerCase();
+}
+
+/**
+ * Split text into normalized search terms, without stopwords
+ * @param {string} text - The text to split
+ * @returns {string[]} - The search terms
+ */
+export function tokenize(text) {
+	return normalizeText(text)
+		.split(/[^a-z0-9]+/)
+		.filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * In-memory inverted index over episode titles, descriptions and chapter titles.
+ */
+export class SearchIndex {
+	constructor() {
+		// Term -> every occurrence as {id, field, chapterIndex}
+		this.postings = new Map();
+		// Term -> number of episodes containing it
+		this.episodeCounts = new Map();
+		this.episodes = new Map();
+		this.terms = [];
+	}
+
+	/**
+	 * Replace the index contents with the given episodes
+	 * @param {object[]} episodes - Episodes from episodes.json
+	 */
+	build(episodes) {
+		this.postings.clear();
+		this.episodeCounts.clear();
+		this.episodes.clear();
+		for (const episode of episodes) {
+			if (episode.id === undefined || episode.id === null) continue;
+			const id = String(episode.id);
+			this.episodes.set(id, episode);
+			const terms = new Set();
+			this.addField(terms, id, "title", episode.title);
+			this.addField(terms, id, "description", episode.description);
+			for (const [index, chapter] of (episode.chapters ?? []).entries()) {
+				this.addField(terms, id, "chapter", chapter.title, index);
+			}
+			for (const term of terms) {
+				this.episodeCounts.set(term, (this.episodeCounts.get(term) ?? 0) + 1);
+			}
+		}
+		this.terms = [...this.postings.keys()];
+	}
+
+	addField(terms, id, field, text, chapterIndex = null) {
+		for (const token of tokenize(text)) {
+			let occurrences = this.postings.get(token);
+			if (!occurrences) {
+				occurrences = [];
+				this.postings.set(token, occurrences);
+			}
+			occurrences.push({ id, field, chapterIndex });
+			terms.add(token);
+		}
+	}
+
+	/**
+	 * Indexed terms a query word matches: the word itself, and longer words
+	 * starting with it so "zwart" also finds "zwarte"
+	 * @param {string} token - A normalized query word
+	 * @returns {string[]}
+	 */
+	expandTerm(token) {
+		if (token.length < 3) {
+			return this.postings.has(token) ? [token] : [];
+		}
+		return this.terms.filter((term) => term.startsWith(token));
+	}
+
+	/**
+	 * Search the index. Episodes matching more query words come first, then
+	 * higher scores; rare words weigh more than words found in many episodes.
+	 * @param {string} query - The search query
+	 * @returns {Array<{episode: object, score: number, chapterIndex: number|null}>} - Ranked hits, with the best matching chapter if any
+	 */
+	search(query) {
+		const queryTokens = [...new Set(tokenize(query))];
+		const hits = new Map();
+		for (const queryToken of queryTokens) {
+			for (const term of this.expandTerm(queryToken)) {
+				// Whole words count fully, words that only start with the query word half
+				const factor = term === queryToken ? 1 : 0.5;
+				const rarity = Math.log(
+					1 + this.episodes.size / this.episodeCounts.get(term),
+				);
+				for (const { id, field, chapterIndex } of this.postings.get(term)) {
+					let hit = hits.get(id);
+					if (!hit) {
+						hit = { score: 0, matched: new Set(), chapters: new Map() };
+						hits.set(id, hit);
+					}
+					hit.score += FIELD_WEIGHTS[field] * factor * rarity;
+					hit.matched.add(queryToken);
+					if (chapterIndex !== null) {
+						const chapterMatches = hit.chapters.get(chapterIndex) ?? new Set();
+						chapterMatches.add(queryToken);
+						hit.chapters.set(chapterIndex, chapterMatches);
+					}
+				}
+			}
+		}
+
+		return [...hits.entries()]
+			.map(([id, hit]) => {
+				// The chapter matching the most query words, the earliest on a tie
+				let chapterIndex = null;
+				let chapterMatches = 0;
+				for (const [index, matches] of hit.chapters) {
+					if (
+						matches.size > chapterMatches ||
+						(matches.size === chapterMatches && index < chapterIndex)
+					) {
+						chapterIndex = index;
+						chapterMatches = matches.size;
+					}
+				}
+				return {
+					episode: this.episodes.get(id),
+					score: hit.score,
+					matchedCount: hit.matched.size,
+					chapterIndex,
+				};
+			})
+			.sort((a, b) => b.matchedCount - a.matchedCount || b.score - a.score)
+			.map(({ episode, score, chapterIndex }) => ({
+				episode,
+				score,
+				chapterIndex,
+			}));
+	}
+
+	/**
+	 * Find chapters whose title contains every query word, newest episodes first
+	 * @param {string} query - The search query
+	 * @returns {Array<{episode: object, chapterIndex: number}>} - The matching chapters
+	 */
+	searchChapters(query) {
+		const queryTokens = [...new Set(tokenize(query))];
+		const matches = new Map();
+		for (const queryToken of queryTokens) {
+			for (const term of this.expandTerm(queryToken)) {
+				for (const { id, field, chapterIndex } of this.postings.get(term)) {
+					if (field !== "chapter") continue;
+					const key = `${id}:${chapterIndex}`;
+					const match = matches.get(key) ?? {
+						id,
+						chapterIndex,
+						matched: new Set(),
+					};
+					match.matched.add(queryToken);
+					matches.set(key, match);
+				}
+			}
+		}
+		return [...matches.values()]
+			.filter((match) => match.matched.size === queryTokens.length)
+			.map(({ id, chapterIndex }) => ({
+				episode: this.episodes.get(id),
+				chapterIndex,
+			}))
+			.sort(
+				(a, b) =>
+					new Date(b.episode.createdAt || 0).getTime() -
+						new Date(a.episode.createdAt || 0).getTime() ||
+					a.chapterIndex - b.chapterIndex,
+			);
+	}
+}
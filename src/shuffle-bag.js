@@ -0,0 +1,125 @@
+import { openStore } from "./storage.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Category of an episode, used for the shuffle weights
+ * @param {string} title - The episode title
+ * @returns {"maandoverzicht"|"special"|"overig"}
+ */
+export function getEpisodeCategory(title = "") {
+	if (title.includes("Maandoverzicht")) return "maandoverzicht";
+	if (title.includes("Special")) return "special";
+	return "overig";
+}
+
+/**
+ * Parse category weights like "maandoverzicht=3,special=1"
+ * @param {string|null|undefined} input - Comma separated category=weight pairs
+ * @returns {Record<string, number>} - Weight per category, invalid pairs are left out
+ */
+export function parseCategoryWeights(input) {
+	const weights = {};
+	for (const pair of (input || "").split(",")) {
+		const [category, value] = pair.split("=").map((part) => part?.trim());
+		const weight = Number.parseFloat(value);
+		if (category && Number.isFinite(weight) && weight >= 0) {
+			weights[category.toLowerCase()] = weight;
+		}
+	}
+	return weights;
+}
+
+/**
+ * Per-guild shuffle that plays every episode once before repeating any, and
+ * skips episodes played in the last days when possible. Saved to disk so a
+ * restart does not start a new round. State looks like
+ * `{ played: [episodeId], lastPlayed: { [episodeId]: timestamp } }`.
+ */
+export class ShuffleBag {
+	/**
+	 * @param {object} options
+	 * @param {number} options.avoidDays - Skip episodes played this many days ago or less
+	 * @param {Record<string, number>} options.weights - Chance of an episode per category, 1 by default
+	 * @param {object} db - Storage for the shuffle state
+	 */
+	constructor(
+		{ avoidDays = 14, weights = {} } = {},
+		db = openStore("shuffle"),
+	) {
+		this.avoidDays = avoidDays;
+		this.weights = weights;
+		this.db = db;
+	}
+
+	getState(guildId) {
+		return { played: [], lastPlayed: {}, ...this.db.get(guildId) };
+	}
+
+	/**
+	 * Pick the next episode to play
+	 * @param {string} guildId - The guild ID
+	 * @param {Array<{id: string, title: string}>} episodes - The episodes that can be played
+	 * @returns {string|null} - ID of the picked episode, or null if there are none
+	 */
+	next(guildId, episodes) {
+		if (episodes.length === 0) return null;
+		const state = this.getState(guildId);
+		const played = new Set(state.played);
+		let candidates = episodes.filter((episode) => !played.has(episode.id));
+		if (candidates.length === 0) {
+			// Every episode has played: start a new round
+			state.played = [];
+			this.db.set(guildId, state);
+			candidates = episodes;
+		}
+
+		const cutoff = Date.now() - this.avoidDays * DAY_MS;
+		const notRecent = candidates.filter(
+			(episode) => !(state.lastPlayed[episode.id] > cutoff),
+		);
+		if (notRecent.length > 0) {
+			candidates = notRecent;
+		}
+
+		let weighted = candidates
+			.map((episode) => ({
+				episode,
+				weight: this.weights[getEpisodeCategory(episode.title)] ?? 1,
+			}))
+			.filter(({ weight }) => weight > 0);
+		// Weights of 0 for every remaining category should not stop playback
+		if (weighted.length === 0) {
+			weighted = candidates.map((episode) => ({ episode, weight: 1 }));
+		}
+		const total = weighted.reduce((sum, { weight }) => sum + weight, 0);
+		let pick = Math.random() * total;
+		for (const { episode, weight } of weighted) {
+			pick -= weight;
+			if (pick < 0) return episode.id;
+		}
+		return weighted[weighted.length - 1].episode.id;
+	}
+
+	/**
+	 * Remember that an episode started playing, however it was started
+	 * @param {string} guildId - The guild ID
+	 * @param {string|null} episodeId - The episode ID
+	 */
+	markPlayed(guildId, episodeId) {
+		if (!episodeId) return;
+		const state = this.getState(guildId);
+		if (!state.played.includes(episodeId)) {
+			state.played.push(episodeId);
+		}
+		const now = Date.now();
+		state.lastPlayed[episodeId] = now;
+		// Plays older than the avoid period no longer matter
+		for (const [id, playedAt] of Object.entries(state.lastPlayed)) {
+			if (playedAt < now - this.avoidDays * DAY_MS) {
+				delete state.lastPlayed[id];
+			}
+		}
+		this.db.set(guildId, state);
+	}
+}
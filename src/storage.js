@@ -0,0 +1,15 @@
+import { mkdirSync } from "node:fs";
+import path from "node:path";
+import JSONdb from "simple-json-db";
+
+const DATA_DIR = path.join(process.cwd(), "data");
+
+/**
+ * Open a JSON store in the data directory, like episodes.json but for bot state
+ * @param {string} name - Store name, used as the file name without extension
+ * @returns {JSONdb} - The JSON database
+ */
+export function openStore(name) {
+	mkdirSync(DATA_DIR, { recursive: true });
+	return new JSONdb(path.join(DATA_DIR, `${name}.json`));
+}
@@ -0,0 +1,53 @@
+/**
+ * Format a number of seconds as h:mm:ss, or m:ss when shorter than an hour
+ * @param {number} totalSeconds - The number of seconds
+ * @returns {string} - The formatted timestamp
+ */
+export function formatTimestamp(totalSeconds) {
+	const seconds = Math.max(0, Math.floor(totalSeconds));
+	const hours = Math.floor(seconds / 3600);
+	const minutes = Math.floor((seconds % 3600) / 60);
+	const rest = String(seconds % 60).padStart(2, "0");
+	if (hours > 0) {
+		return `${hours}:${String(minutes).padStart(2, "0")}:${rest}`;
+	}
+	return `${minutes}:${rest}`;
+}
+
+/**
+ * Parse an absolute timestamp such as `1:23:45`, `45:10`, `90s`, `2m`, `1h5m` or `90`
+ * @param {string} input - The timestamp to parse
+ * @returns {number|null} - The number of seconds, or null if the input is not a timestamp
+ */
+export function parseTimestamp(input) {
+	const value = String(input).trim().toLowerCase().replace(/\s+/g, "");
+
+	if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+		const parts = value.split(":").map(Number);
+		// Only the leading part may be 60 or more, e.g. 90:00
+		if (parts.slice(1).some((part) => part >= 60)) return null;
+		return parts.reduce((total, part) => total * 60 + part, 0);
+	}
+
+	const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s?)?$/);
+	if (!value || !match) return null;
+	const [, hours = 0, minutes = 0, seconds = 0] = match;
+	return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Parse a seek target that is either absolute (`1:23:45`, `90s`) or relative
+ * to the current position (`+30s`, `-2m`)
+ * @param {string} input - The seek target to parse
+ * @returns {{seconds: number, relative: boolean}|null} - Seconds (negative when seeking back), or null if invalid
+ */
+export function parseSeekInput(input) {
+	const value = String(input).trim();
+	const sign = value.startsWith("+") ? 1 : value.startsWith("-") ? -1 : 0;
+	const seconds = parseTimestamp(sign ? value.slice(1) : value);
+	if (seconds === null) return null;
+	if (sign) {
+		return { seconds: sign * seconds, relative: true };
+	}
+	return { seconds, relative: false };
+}
@@ -0,0 +1,83 @@
+/**
+ * Parse a daily time like "6:30" or "18:00"
+ * @param {string} input - Time in 24-hour HH:MM format
+ * @returns {{hours: number, minutes: number}|null} - The time, or null if invalid
+ */
+export function parseDailyTime(input) {
+	const match = input?.trim().match(/^(\d{1,2}):(\d{2})$/);
+	if (!match) return null;
+	const hours = Number.parseInt(match[1], 10);
+	const minutes = Number.parseInt(match[2], 10);
+	if (hours > 23 || minutes > 59) return null;
+	return { hours, minutes };
+}
+
+/**
+ * Runs a task every N minutes or every day at a fixed local time. A run
+ * that is still busy when the next one is due is never started twice.
+ */
+export class UpdateScheduler {
+	/**
+	 * @param {() => Promise<void>} task - The task to run
+	 * @param {object} options
+	 * @param {number|null} options.intervalMinutes - Minutes between runs
+	 * @param {string|null} options.dailyTime - Local time of the daily run in HH:MM format, takes precedence over the interval
+	 */
+	constructor(task, { intervalMinutes = null, dailyTime = null } = {}) {
+		this.task = task;
+		this.intervalMinutes = intervalMinutes;
+		this.dailyTime = dailyTime ? parseDailyTime(dailyTime) : null;
+		if (dailyTime && !this.dailyTime) {
+			throw new Error(`Invalid daily update time "${dailyTime}", use HH:MM`);
+		}
+		this.timer = null;
+	}
+
+	get enabled() {
+		return Boolean(this.dailyTime || this.intervalMinutes > 0);
+	}
+
+	/**
+	 * Milliseconds until the next run
+	 * @param {Date} now - The current time
+	 * @returns {number}
+	 */
+	getNextDelay(now = new Date()) {
+		if (!this.dailyTime) {
+			return this.intervalMinutes * 60 * 1000;
+		}
+		const next = new Date(now);
+		next.setHours(this.dailyTime.hours, this.dailyTime.minutes, 0, 0);
+		if (next <= now) {
+			next.setDate(next.getDate() + 1);
+		}
+		return next.getTime() - now.getTime();
+	}
+
+	start() {
+		if (!this.enabled || this.timer) return;
+		this.scheduleNext();
+	}
+
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	scheduleNext() {
+		const delay = this.getNextDelay();
+		console.log(
+			`⏰ Next episode update at ${new Date(Date.now() + delay).toLocaleString("nl-BE")}`,
+		);
+		this.timer = setTimeout(async () => {
+			try {
+				await this.task();
+			} catch (error) {
+				console.error("❌ Scheduled episode update failed:", error);
+			}
+			if (this.timer) {
+				this.scheduleNext();
+			}
+		}, delay);
+	}
+}
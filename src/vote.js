@@ -0,0 +1,53 @@
+/**
+ * Number of votes that passes a vote, more than the threshold share of the listeners
+ * @param {number} listenerCount - Members in the voice channel, without bots
+ * @param {number} threshold - Share of the listeners that has to be exceeded, e.g. 0.5 for a majority
+ * @returns {number}
+ */
+export function getVotesNeeded(listenerCount, threshold) {
+	return Math.max(
+		1,
+		Math.min(listenerCount, Math.floor(listenerCount * threshold) + 1),
+	);
+}
+
+/**
+ * A running vote to skip or stop the current episode of a guild. Only
+ * voters still in the voice channel count, and the vote belongs to the
+ * episode that was playing when it started.
+ */
+export class Vote {
+	/**
+	 * @param {"skip"|"stop"} action - What happens when the vote passes
+	 * @param {object} episode - The file data of the episode being voted on
+	 */
+	constructor(action, episode) {
+		this.action = action;
+		this.episode = episode;
+		this.voters = new Set();
+		// Message with the running tally, edited on every vote
+		this.message = null;
+	}
+
+	/**
+	 * @param {string} userId - The voting user
+	 * @returns {boolean} - False if the user already voted
+	 */
+	add(userId) {
+		if (this.voters.has(userId)) return false;
+		this.voters.add(userId);
+		return true;
+	}
+
+	/**
+	 * Count the votes of the current listeners
+	 * @param {string[]} listenerIds - Members in the voice channel, without bots
+	 * @param {number} threshold - Share of the listeners that has to be exceeded
+	 * @returns {{votes: number, needed: number, passed: boolean}}
+	 */
+	tally(listenerIds, threshold) {
+		const votes = listenerIds.filter((id) => this.voters.has(id)).length;
+		const needed = getVotesNeeded(listenerIds.length, threshold);
+		return { votes, needed, passed: votes >= needed };
+	}
+}